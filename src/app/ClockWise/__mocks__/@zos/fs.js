@@ -0,0 +1,38 @@
+/**
+ * In-memory file system of the watch for tests
+ */
+export const files = new Map()
+
+let clock = 0
+const mtimes = new Map()
+
+export function reset() {
+    files.clear()
+    mtimes.clear()
+}
+
+export function statSync({ path }) {
+    return files.has(path) ? { size: files.get(path).length, mtimeMs: mtimes.get(path) } : undefined
+}
+
+export function readFileSync({ path }) {
+    return files.get(path)
+}
+
+export function writeFileSync({ path, data }) {
+    files.set(path, data)
+    mtimes.set(path, ++clock)
+}
+
+export function renameSync({ oldPath, newPath }) {
+    if (!files.has(oldPath)) return -1
+    files.set(newPath, files.get(oldPath))
+    mtimes.set(newPath, ++clock)
+    files.delete(oldPath)
+    return 0
+}
+
+export function rmSync({ path }) {
+    files.delete(path)
+    return 0
+}
@@ -0,0 +1,6 @@
+/**
+ * Translation of the watch for tests, texts are returned untranslated
+ */
+export function getText(key) {
+    return key
+}
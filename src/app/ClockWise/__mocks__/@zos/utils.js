@@ -0,0 +1,6 @@
+/**
+ * Silent logger of the watch for tests
+ */
+const logger = { log() {}, debug() {}, warn() {}, error() {} }
+
+export const log = { getLogger: () => logger }
@@ -1,10 +1,12 @@
 import { BaseApp } from '@zeppos/zml/base-app'
+import { MigrationService } from './utils/services/MigrationService'
 
 App(
     BaseApp({
         globalData: {},
         onCreate(options) {
             console.log('app on create invoke');
+            MigrationService.migrateFiles()
         },
 
         onDestroy(options) {
@@ -4,8 +4,10 @@ import { createWidget, widget, align } from '@zos/ui'
 import { back, push } from '@zos/router'
 import { Event } from '../utils/models/Event'
 import { eventServise } from '../utils/Globals'
-import { styleColors } from '../utils/Constants'
+import { MINUTE_MS, styleColors } from '../utils/Constants'
 import { getText } from '@zos/i18n'
+import { showUndoToast } from '../utils/UndoToast'
+import { TrackingService } from '../utils/services/TrackingService'
 
 
 Page ({
@@ -18,6 +20,9 @@ Page ({
         deleteDialog: null,
         editBtn: null,
         eventStatus: null,
+        checklistArc: null,
+        trackBtn: null,
+        logBtn: null,
     },
 
     registerGes(){
@@ -33,6 +38,117 @@ Page ({
         })
     },
 
+    detailsLabel(event){
+        let parts = []
+        if (event.location) parts.push('📍 ' + event.location)
+        if (event.attendees && event.attendees.length > 0) parts.push('👥 ' + event.attendees.length)
+        if (event.notes) parts.push('📝')
+        return parts.join('  ')
+    },
+
+    initDetails(event){
+        // Checklist and details share one line, each of them opens its own page
+        const { done, total } = event.getChecklistProgress()
+        let buttons = []
+        if (total > 0) buttons.push({ text: '☑ ' + done + '/' + total, url: 'page/event/checklist' })
+        const label = this.detailsLabel(event)
+        if (label !== '') buttons.push({ text: label, url: 'page/event/details' })
+        const width = (360 - 10 * (buttons.length - 1)) / Math.max(buttons.length, 1)
+        buttons.forEach((button, index) => {
+            createWidget(widget.BUTTON, {
+                x: (480-360)/2 + index * (width + 10),
+                y: 228,
+                w: width,
+                h: 38,
+                radius: 19,
+                text: button.text,
+                text_size: 28,
+                color: styleColors.light_gray,
+                normal_color: styleColors.black,
+                press_color: styleColors.dark_gray,
+                click_func: () => {
+                    push({
+                        url: button.url,
+                        params: JSON.stringify(event)
+                    })
+                }
+            })
+        })
+    },
+
+    initChecklistArc(event){
+        // Inner arc shows completion of the checklist, outer one shows elapsed time
+        if (event.getChecklistProgress().total == 0) return
+        createWidget(widget.ARC_PROGRESS, {
+            center_x: 240,
+            center_y: 240,
+            radius: 198,
+            start_angle: -150,
+            end_angle: 150,
+            color: styleColors.dark_gray,
+            line_width: 10,
+            level: 100
+        })
+        this.widgets.checklistArc = createWidget(widget.ARC_PROGRESS, {
+            center_x: 240,
+            center_y: 240,
+            radius: 198,
+            start_angle: -150,
+            end_angle: 150,
+            color: styleColors.green,
+            line_width: 10,
+            level: event.getChecklistLevel()
+        })
+    },
+
+    trackingText(event){
+        if (!TrackingService.isTracked(event)) return '▶'
+        const minutes = Math.floor((Date.now() - TrackingService.getActive().start) / MINUTE_MS)
+        return '■ ' + (minutes >= 60 ? Math.floor(minutes / 60) + getText('h') + ' ' : '') + minutes % 60 + getText('m')
+    },
+
+    initTracking(event){
+        // Start/stop of tracking and logging of time which was just spent are placed around edit button
+        this.widgets.trackBtn = createWidget(widget.BUTTON, {
+            x: 120,
+            y: 405,
+            w: 80,
+            h: 50,
+            radius: 25,
+            text: this.trackingText(event),
+            text_size: 24,
+            color: styleColors.white,
+            normal_color: TrackingService.isTracked(event) ? styleColors.dark_red : styleColors.dark_green,
+            press_color: styleColors.dark_gray,
+            click_func: () => {
+                if (TrackingService.isTracked(event)) TrackingService.stop()
+                else TrackingService.start(event)
+                push({
+                    url: 'page/event',
+                    params: JSON.stringify(event)
+                })
+            }
+        })
+        this.widgets.logBtn = createWidget(widget.BUTTON, {
+            x: 280,
+            y: 405,
+            w: 80,
+            h: 50,
+            radius: 25,
+            text: '⏱',
+            text_size: 28,
+            color: styleColors.white,
+            normal_color: styleColors.dark_blue,
+            press_color: styleColors.dark_gray,
+            click_func: () => {
+                push({
+                    url: 'page/event/log',
+                    params: JSON.stringify(event)
+                })
+            }
+        })
+    },
+
     onInit(params){
         this.registerGes()
         const current_event = JSON.parse(params)
@@ -44,8 +160,9 @@ Page ({
             onClick: (keyObj) => {
                 const { type } = keyObj
                 if (type === MODAL_CONFIRM) {
-                    eventServise.deleteEvent(pageData.id)
-                    back()
+                    const trashId = eventServise.deleteEvent(pageData.id)
+                    this.widgets.deleteDialog.show(false)
+                    showUndoToast(getText('Event deleted'), () => eventServise.restoreFromTrash([trashId]), () => back())
                 } else {
                     this.widgets.deleteDialog.show(false)
                 }
@@ -53,7 +170,7 @@ Page ({
         })
         this.eventLabel = createWidget(widget.TEXT, {
             x: (480-300)/2,
-            y: 200,
+            y: 180,
             w: 300,
             h: 46,
             color: styleColors.white,
@@ -62,6 +179,7 @@ Page ({
             text_size: 40,
             text: current_event.description
         }),
+        this.initDetails(pageData),
         this.timePeriod = createWidget(widget.TEXT, {
             x: (480-300)/2,
             y: 270,
@@ -85,16 +203,24 @@ Page ({
             text_size: 40,
             text: pageData.getDuration()
         }),
-        this.eventStatus = createWidget(widget.TEXT, {
-            x: 0,
-            y: 130,
-            w: 480,
-            h: 40,
-            align_h: align.CENTER_H,
-            align_v: align.CENTER_V,
+        // Status is a button which marks event as done, skipped or missed
+        this.eventStatus = createWidget(widget.BUTTON, {
+            x: 40,
+            y: 128,
+            w: 400,
+            h: 44,
+            radius: 22,
+            normal_color: styleColors.black,
+            press_color: styleColors.dark_gray,
             color: styleColors.white,
             text_size: 38,
-            text: pageData.getStatus()
+            text: pageData.getCompletionLabel() || pageData.getStatus(),
+            click_func: () => {
+                push({
+                    url: 'page/event/completion',
+                    params: JSON.stringify({ event: pageData, from: 'event' })
+                })
+            }
         }),        
         this.progressArcBackground = createWidget(widget.ARC_PROGRESS, {
             center_x: 240,
@@ -116,6 +242,8 @@ Page ({
             line_width: 20,
             level: pageData.getlevel()
         }),
+        this.initChecklistArc(pageData),
+        this.initTracking(pageData),
         this.widgets.deleteBtn = createWidget(widget.BUTTON, {
             x: (480-70)/2,
             y: 40,
@@ -124,7 +252,13 @@ Page ({
             normal_src: 'delete.png',
             press_src: 'delete.png',
             click_func: (button_widget) => {
-                this.widgets.deleteDialog.show(true)
+                if (pageData.occurrence !== undefined) {
+                    push({
+                        url: 'page/event/scope',
+                        params: JSON.stringify({ action: 'delete', event: pageData })
+                    })
+                }
+                else this.widgets.deleteDialog.show(true)
             }
         })
         this.widgets.editBtn = createWidget(widget.BUTTON, {
@@ -135,7 +269,13 @@ Page ({
             normal_src: 'edit.png',
             press_src: 'edit.png',
             click_func: (button_widget) => {
-                push({
+                if (pageData.occurrence !== undefined) {
+                    push({
+                        url: 'page/event/scope',
+                        params: JSON.stringify({ action: 'edit', event: pageData })
+                    })
+                }
+                else push({
                     url: 'page/event/edit/menu',
                     params: JSON.stringify(pageData)
                 })
@@ -0,0 +1,126 @@
+import { onGesture, GESTURE_RIGHT } from '@zos/interaction'
+import { createWidget, widget, align, prop } from '@zos/ui'
+import { push } from '@zos/router'
+import { getText } from '@zos/i18n'
+import {log} from '@zos/utils'
+import { styleColors } from '../../utils/Constants'
+import { eventServise } from '../../utils/Globals'
+
+const logger = log.getLogger('page/event/checklist.js')
+
+/**
+ * Checklist of event, tap on item marks it as done or not done
+ */
+Page({
+    state: {
+        event: null,
+    },
+
+    registerGes(){
+        onGesture({
+            callback: (event) => {
+            if (event === GESTURE_RIGHT) {
+                push({
+                    url: 'page/event',
+                    params: JSON.stringify(this.state.event)
+                })
+            }
+            return true
+            },
+        })
+    },
+
+    initBg(){
+        this.circle = createWidget(widget.CIRCLE, {
+        center_x: 240,
+        center_y: 240,
+        radius: 227,
+        color: styleColors.white_smoke,
+        })
+        this.circle = createWidget(widget.CIRCLE, {
+        center_x: 240,
+        center_y: 240,
+        radius: 225,
+        color: styleColors.black,
+        })
+    },
+
+    initTitle(){
+        this.title = createWidget(widget.TEXT, {
+            text: this.titleText(),
+            x: 0,
+            y: 50,
+            w: 480,
+            h: 50,
+            text_size: 35,
+            align_h: align.CENTER_H,
+            align_v: align.CENTER_V,
+            color: styleColors.white
+        })
+    },
+
+    titleText(){
+        const items = this.state.event.checklist
+        return getText('Checklist') + ' ' + items.filter((item) => item.done).length + '/' + items.length
+    },
+
+    addKeys(items){
+        return items.map((item) => ({
+            text: item.text,
+            check: item.done ? 'radio_selected.png' : 'radio_unselected.png'
+        }))
+    },
+
+    onInit(params){
+        logger.log('Init checklist page with params: ' + params)
+        this.state.event = JSON.parse(params)
+        this.registerGes()
+        this.initBg()
+        this.initTitle()
+        const event = this.state.event
+        const dataTypeConfig = [{ start: 0, end: event.checklist.length - 1, type_id: 0 }]
+        const scrollList = createWidget(widget.SCROLL_LIST, {
+            x: (480-380)/2,
+            y: 110,
+            h: 370,
+            w: 380,
+            radius: 10,
+            item_space: 20,
+            snap_to_center: true,
+            item_config: [
+                {
+                    type_id: 0,
+                    item_bg_color: styleColors.dark_gray,
+                    item_bg_radius: 35,
+                    text_view: [
+                        { x: 84, y: 0, w: 280, h: 70, key: 'text', color: styleColors.white_smoke, text_size: 30, align_h: align.LEFT },
+                    ],
+                    text_view_count: 1,
+                    image_view: [{ x: 10, y: 3, w: 64, h: 64, key: 'check', action: true }],
+                    image_view_count: 1,
+                    item_height: 70
+                },
+            ],
+            item_config_count: 1,
+            data_array: this.addKeys(event.checklist),
+            data_count: event.checklist.length,
+            item_focus_change_func: (list, index, focus) => {},
+            item_click_func: (item, index, data_key) => {
+                event.checklist[index].done = !event.checklist[index].done
+                // Occurrence of repeating event has its own checklist, time is not changed, so conflicts are not checked
+                eventServise.editEvent(event, event.occurrence !== undefined ? 'occurrence' : 'series', true)
+                logger.log('Checklist item toggled: ' + JSON.stringify(event.checklist[index]))
+                this.title.setProperty(prop.TEXT, this.titleText())
+                scrollList.setProperty(prop.UPDATE_DATA, {
+                    data_type_config: dataTypeConfig,
+                    data_type_config_count: dataTypeConfig.length,
+                    data_array: this.addKeys(event.checklist),
+                    data_count: event.checklist.length,
+                    on_page: 1
+                })
+            },
+            data_type_config: dataTypeConfig,
+            data_type_config_count: dataTypeConfig.length
+        })
+    }
+})
@@ -0,0 +1,64 @@
+import { createWidget, widget, align } from '@zos/ui'
+import { getText } from '@zos/i18n'
+import { push } from '@zos/router'
+import {log} from '@zos/utils'
+import { COMPLETION_LABELS, COMPLETION_MARKERS, COMPLETION_STATUSES, styleColors } from '../../utils/Constants'
+import { eventServise } from '../../utils/Globals'
+
+const logger = log.getLogger('page/event/completion.js')
+
+/**
+ * Marks event as done, skipped or missed
+ * 
+ * Params: {event, from}, from is 'list' or 'event' - page which is opened after saving
+ */
+Page({
+    returnTo(event, from){
+        if (from === 'list') push({
+            url: 'page/list',
+            params: JSON.stringify(event.start)
+        })
+        else push({
+            url: 'page/event',
+            params: JSON.stringify(event)
+        })
+    },
+
+    onInit(params){
+        logger.log('Init completion page with params: ' + params)
+        const { event, from } = JSON.parse(params)
+        createWidget(widget.TEXT, {
+            text: event.description,
+            w: 360,
+            h: 50,
+            x: (480-360)/2,
+            y: 50,
+            align_v: align.CENTER_V,
+            align_h: align.CENTER_H,
+            text_size: 35,
+            color: styleColors.white_smoke
+        })
+        const colors = { done: styleColors.dark_green, skipped: styleColors.dark_gray, missed: styleColors.dark_red }
+        const options = [...COMPLETION_STATUSES, undefined]
+        options.forEach((completion, index) => {
+            createWidget(widget.BUTTON, {
+                x: 40,
+                y: 120 + 85 * index,
+                w: 400,
+                h: 70,
+                radius: 35,
+                normal_color: completion ? colors[completion] : styleColors.black,
+                press_color: styleColors.blue_violet,
+                text: completion ? COMPLETION_MARKERS[completion] + ' ' + getText(COMPLETION_LABELS[completion]) : getText('Not marked'),
+                text_size: 32,
+                click_func: () => {
+                    event.completion = completion
+                    // Occurrence of repeating event is marked alone, time is not changed, so conflicts are not checked
+                    eventServise.editEvent(event, event.occurrence !== undefined ? 'occurrence' : 'series', true)
+                    logger.log('Completion of event ' + event.id + ': ' + completion)
+                    this.returnTo(event, from)
+                }
+            })
+        })
+    }
+})
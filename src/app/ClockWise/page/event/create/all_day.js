@@ -0,0 +1,50 @@
+import { createWidget, widget, align } from '@zos/ui'
+import { getText } from '@zos/i18n'
+import { push } from '@zos/router'
+import {log} from '@zos/utils'
+import { styleColors } from '../../../utils/Constants'
+
+const logger = log.getLogger('page/event/create/all_day.js')
+
+Page({
+    onInit(params){
+        logger.log('Init all day choose page with params: ' + params)
+        const current_event = JSON.parse(params)
+        createWidget(widget.TEXT, {
+            text: getText('Event time'),
+            w: 300,
+            h: 50,
+            x: (480-300)/2,
+            y: 100,
+            align_v: align.CENTER_V,
+            align_h: align.CENTER_H,
+            text_size: 35,
+            color: styleColors.white_smoke
+        })
+        const kinds = [
+            { text: 'At time', all_day: false },
+            { text: 'All day', all_day: true },
+        ]
+        kinds.forEach((kind, index) => {
+            createWidget(widget.BUTTON, {
+                x: 40,
+                y: 180 + 100 * index,
+                w: 400,
+                h: 80,
+                radius: 40,
+                normal_color: index == 0 ? styleColors.dark_green : styleColors.dark_gray,
+                press_color: styleColors.blue_violet,
+                text: getText(kind.text),
+                text_size: 32,
+                click_func: () => {
+                    current_event.all_day = kind.all_day
+                    logger.log('All day add to event: ' + current_event.all_day)
+                    push({
+                        url: 'page/event/create/start_date',
+                        params: JSON.stringify(current_event)
+                    })
+                }
+            })
+        })
+    }
+})
@@ -0,0 +1,48 @@
+import { widget, createWidget } from '@zos/ui'
+import { getText } from '@zos/i18n'
+import {log} from '@zos/utils'
+import { DATE_TIME_PEACKER } from '../../../utils/Constants'
+import { createEventWithConflictCheck } from '../../../utils/ConflictDialog'
+
+const logger = log.getLogger('page/event/create/anniversary.js')
+
+Page({
+    onInit(params) {
+        logger.log('Anniversary page init with params: ' + params)
+        const current_event = JSON.parse(params)
+        const startYear = new Date(current_event.start).getFullYear()
+        const years = new Array(120).fill(0).map((d, index) => startYear - index)
+        let anniversaryYear = startYear
+        const picker_cb = (picker, event_type, column_index, select_index) => {
+            if (event_type === 1) {
+                anniversaryYear = years[select_index]
+            }
+            if (event_type == 2) {
+                current_event.anniversary_year = anniversaryYear
+                logger.log('Add anniversary year to event: ' + JSON.stringify(current_event))
+                createEventWithConflictCheck(current_event)
+            }
+        }
+        createWidget(widget.WIDGET_PICKER, {
+            title: getText('Count years since'),
+            subtitle: '',
+            nb_of_columns: 1,
+            single_wide: true,
+            init_col_index: 0,
+            data_config: [
+                {
+                    data_array: years,
+                    init_val_index: 0,
+                    unit: 'Y',
+                    support_loop: false,
+                    font_size: DATE_TIME_PEACKER.font_size,
+                    select_font_size: DATE_TIME_PEACKER.select_font_size,
+                    connector_font_size: DATE_TIME_PEACKER.connector_font_size,
+                    unit_font_size: DATE_TIME_PEACKER.font_size,
+                    col_width: DATE_TIME_PEACKER.col_width * 2
+                }
+            ],
+            picker_cb
+        })
+    }
+})
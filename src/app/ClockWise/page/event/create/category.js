@@ -0,0 +1,69 @@
+import { createWidget, widget } from '@zos/ui'
+import { getText } from '@zos/i18n'
+import { styleColors } from '../../../utils/Constants'
+import { push } from '@zos/router'
+import {log} from '@zos/utils'
+import { CategoryService } from '../../../utils/services/CategoryService'
+
+const logger = log.getLogger('page/event/create/category.js')
+
+Page({
+    onInit(params){
+        logger.log('Init category picker page with params: ' + params)
+        const title = createWidget(widget.TEXT, {
+            x: 140,
+            y: 50,
+            text: getText('Category'),
+            text_size: 40,
+            w: 480,
+            h: 50,
+        })
+        const scrollList = createWidget(widget.VIEW_CONTAINER, {
+            x: 0,
+            y: 120,
+            w: 480,
+            h: 360,
+        })
+        const categories = CategoryService.getAll()
+        categories.forEach((category, index) => {
+            scrollList.createWidget(widget.BUTTON, {
+                x: 50,
+                y: 90 * index,
+                w: 380,
+                h: 70,
+                radius: 35,
+                normal_color: category.color,
+                press_color: 0xfeb4a8,
+                text: category.getLabel(),
+                text_size: 32,
+                click_func: () => {
+                    const current_event = JSON.parse(params)
+                    current_event.category = category.id
+                    current_event.color = category.color
+                    logger.log('Category add to event: ' + category.id)
+                    push({
+                        url: 'page/event/create/priority',
+                        params: JSON.stringify(current_event)
+                    })
+                }
+            })
+        })
+        scrollList.createWidget(widget.BUTTON, {
+            x: 50,
+            y: 90 * categories.length,
+            w: 380,
+            h: 70,
+            radius: 35,
+            normal_color: styleColors.dark_gray,
+            press_color: styleColors.blue_violet,
+            text: getText('Other color'),
+            text_size: 32,
+            click_func: () => {
+                push({
+                    url: 'page/event/create/color',
+                    params: params
+                })
+            }
+        })
+    }
+})
@@ -39,9 +39,10 @@ Page({
                     click_func: (color_i) => {
                             const current_event = JSON.parse(params)
                             current_event.color = currentColor
+                            delete current_event.category
                             logger.log('Color add to event: color: ' + JSON.stringify(current_event.color))
                             push({
-                                url: 'page/event/create/repeat',
+                                url: 'page/event/create/priority',
                                 params: JSON.stringify(current_event)
                             })
                     }
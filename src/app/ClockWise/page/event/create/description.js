@@ -13,7 +13,7 @@ Page ({
                 let event =  {description: result.data}
                 logger.log('Create description done: ' + JSON.stringify(event))
                 push({
-                    url: 'page/event/create/start_date',
+                    url: 'page/event/create/all_day',
                     params: JSON.stringify(event),
                 })
             },
@@ -12,19 +12,21 @@ Page({
         title.setProperty(prop.SUBTITLE, getText('Invalid date'))
     },
 
-    getDate(currentValues){
+    getDate(currentValues, allDay){
         let endDate = new Date()
             endDate.setFullYear(currentValues.year)
             endDate.setMonth(currentValues.month)
             endDate.setDate(currentValues.day)
             endDate.setHours(currentValues.hour)
             endDate.setMinutes(currentValues.minute)
+            if (allDay) endDate.setHours(23, 59, 59, 999)
         return endDate
     },
 
     onInit(params) {
         logger.log('End date page init with params: ' + params)
         const current_event = JSON.parse(params)
+        const allDay = current_event.all_day
         const startEvent = new Date(current_event.start)
         let currentValues = {
             day: startEvent.getDate(),
@@ -59,14 +61,14 @@ Page({
                         currentValues.minute = dataArrays.minute[select_index]
                         break                       
                     }
-                let endDate = this.getDate(currentValues)
+                let endDate = this.getDate(currentValues, allDay)
                 if (startEvent.getTime() > endDate.getTime()) {
                     this.attention(picker_widget)
                 }
                 else picker_widget.setProperty(prop.SUBTITLE, '')
             }
             if (event_type == 2){
-                let endDate = this.getDate(currentValues)
+                let endDate = this.getDate(currentValues, allDay)
                 if (startEvent.getTime() > endDate.getTime()) {
                     this.attention(picker_widget)
                 }
@@ -74,7 +76,7 @@ Page({
                     current_event.end = endDate.toISOString()
                     logger.log('Add end to event: ' + JSON.stringify(current_event))
                     push({
-                        url: 'page/event/create/color',
+                        url: 'page/event/create/category',
                         params: JSON.stringify(current_event)
                     })
                 }
@@ -83,7 +85,7 @@ Page({
         const picker_widget = createWidget(widget.WIDGET_PICKER, {
             title: getText('Event end'),
             subtitle: '',
-            nb_of_columns: 5,
+            nb_of_columns: allDay ? 3 : 5,
             single_wide: true,
             init_col_index: 1,
             data_config: [
@@ -142,7 +144,7 @@ Page({
                     unit_font_size: DATE_TIME_PEACKER.unit_font_size,
                     col_width: DATE_TIME_PEACKER.col_width
                 }
-            ],
+            ].slice(0, allDay ? 3 : 5),
             picker_cb
         })
     }
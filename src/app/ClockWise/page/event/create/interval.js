@@ -0,0 +1,50 @@
+import { push } from '@zos/router'
+import { widget, createWidget } from '@zos/ui'
+import { getText } from '@zos/i18n'
+import {log} from '@zos/utils'
+import { DATE_TIME_PEACKER, REPEAT_INTERVAL_UNITS } from '../../../utils/Constants'
+
+const logger = log.getLogger('page/event/create/interval.js')
+
+Page({
+    onInit(params) {
+        logger.log('Interval page init with params: ' + params)
+        const current_event = JSON.parse(params)
+        const intervals = new Array(30).fill(0).map((d, index) => index + 1)
+        let interval = 1
+        const picker_cb = (picker, event_type, column_index, select_index) => {
+            if (event_type === 1) {
+                interval = intervals[select_index]
+            }
+            if (event_type == 2) {
+                current_event.repeat_interval = interval
+                logger.log('Add repeat interval to event: ' + JSON.stringify(current_event))
+                push({
+                    url: 'page/event/create/repeat_end',
+                    params: JSON.stringify(current_event)
+                })
+            }
+        }
+        createWidget(widget.WIDGET_PICKER, {
+            title: getText('Repeat every'),
+            subtitle: '',
+            nb_of_columns: 1,
+            single_wide: true,
+            init_col_index: 0,
+            data_config: [
+                {
+                    data_array: intervals,
+                    init_val_index: 0,
+                    unit: REPEAT_INTERVAL_UNITS[current_event.repeat],
+                    support_loop: true,
+                    font_size: DATE_TIME_PEACKER.font_size,
+                    select_font_size: DATE_TIME_PEACKER.select_font_size,
+                    connector_font_size: DATE_TIME_PEACKER.connector_font_size,
+                    unit_font_size: DATE_TIME_PEACKER.font_size,
+                    col_width: DATE_TIME_PEACKER.col_width * 2
+                }
+            ],
+            picker_cb
+        })
+    }
+})
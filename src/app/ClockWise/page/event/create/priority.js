@@ -0,0 +1,47 @@
+import { createWidget, widget, align } from '@zos/ui'
+import { getText } from '@zos/i18n'
+import { push } from '@zos/router'
+import {log} from '@zos/utils'
+import { PRIORITIES, styleColors } from '../../../utils/Constants'
+
+const logger = log.getLogger('page/event/create/priority.js')
+
+Page({
+    onInit(params){
+        logger.log('Init priority choose page with params: ' + params)
+        const current_event = JSON.parse(params)
+        createWidget(widget.TEXT, {
+            text: getText('Priority'),
+            w: 300,
+            h: 50,
+            x: (480-300)/2,
+            y: 60,
+            align_v: align.CENTER_V,
+            align_h: align.CENTER_H,
+            text_size: 35,
+            color: styleColors.white_smoke
+        })
+        const colors = { low: styleColors.dark_gray, normal: styleColors.dark_green, high: styleColors.dark_red }
+        PRIORITIES.forEach((priority, index) => {
+            createWidget(widget.BUTTON, {
+                x: 40,
+                y: 140 + 100 * index,
+                w: 400,
+                h: 80,
+                radius: 40,
+                normal_color: colors[priority],
+                press_color: styleColors.blue_violet,
+                text: getText(priority),
+                text_size: 32,
+                click_func: () => {
+                    current_event.priority = priority
+                    logger.log('Priority add to event: ' + current_event.priority)
+                    push({
+                        url: 'page/event/create/repeat',
+                        params: JSON.stringify(current_event)
+                    })
+                }
+            })
+        })
+    }
+})
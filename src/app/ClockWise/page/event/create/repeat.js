@@ -1,7 +1,7 @@
 import { createWidget, widget, prop, align } from '@zos/ui'
 import { getText } from '@zos/i18n'
 import { styleColors } from '../../../utils/Constants';
-import { eventServise } from '../../../utils/Globals';
+import { createEventWithConflictCheck } from '../../../utils/ConflictDialog';
 import { REPEAT } from '../../../utils/Constants';
 import { push } from '@zos/router'
 import {log} from '@zos/utils'
@@ -12,7 +12,7 @@ let repeat_page_index = 0
 
 
 Page({
-    repeat: ['Never','Every day', 'Every week', 'Every month'],
+    repeat: ['Never','Every day', 'Every week', 'Every month', 'Selected days', 'Monthly by weekday', 'Every year', 'Anniversary'],
 
     onInit(params){
         logger.log('Init repeat choose page with params: ' + params)
@@ -42,81 +42,31 @@ Page({
             }
         })
         const x = 380
-        const neverRepeatBtn = radioGroup.createWidget(widget.STATE_BUTTON, {
-            x: x,
-            y: 150,
-            w: 64,
-            h: 64
-        })
-        const everyDayRepeatBtn= radioGroup.createWidget(widget.STATE_BUTTON, {
-            x: x,
-            y: 250,
-            w: 64,
-            h: 64
-        })
-        const everyWeekRepeatBtn = radioGroup.createWidget(widget.STATE_BUTTON, {
-            x: x,
-            y: 350,
-            w: 64,
-            h: 64
-        })
-        const everyMonthRepeatBtn = radioGroup.createWidget(widget.STATE_BUTTON, {
-            x: x,
-            y: 450,
-            w: 64,
-            h: 64
-        })
-
-        const neverRepeatLabel = createWidget(widget.TEXT, {
-            text: getText(this.repeat[0]),
-            w: 250,
-            h: 135,
-            x: 70,     
-            y: 140,
-            align_v: align.UP,
-            align_h: align.LEFT,
-            text_size: 32,
-            color: styleColors.white_smoke
-        })
-        const everyDayRepeatLabel = createWidget(widget.TEXT, {
-            text: getText(this.repeat[1]),
-            w: 250,
-            h: 64,
-            x: 70,
-            y: 240,
-            align_v: align.CENTER_V,
-            align_h: align.LEFT,
-            text_size: 32,
-            color: styleColors.white_smoke
-        })
-        const everyWeekRepeatLabel = createWidget(widget.TEXT, {
-            text: getText(this.repeat[2]),
-            w: 250,
-            h: 64,
-            x: 70,
-            y: 340,
-            align_v: align.CENTER_V,
-            align_h: align.LEFT,
-            text_size: 32,
-            color: styleColors.white_smoke
-        })
-        const everyMonthRepeatLabel = createWidget(widget.TEXT, {
-            text: getText(this.repeat[3]),
-            w: 250,
-            h: 64,
-            x: 70,
-            y: 440,
-            align_v: align.CENTER_V,
-            align_h: align.LEFT,
-            text_size: 32,
-            color: styleColors.white_smoke
+        const repeatButtons = this.repeat.map((text, index) => {
+            createWidget(widget.TEXT, {
+                text: getText(text),
+                w: 250,
+                h: 64,
+                x: 70,
+                y: 140 + 100 * index,
+                align_v: align.CENTER_V,
+                align_h: align.LEFT,
+                text_size: 32,
+                color: styleColors.white_smoke
+            })
+            return radioGroup.createWidget(widget.STATE_BUTTON, {
+                x: x,
+                y: 150 + 100 * index,
+                w: 64,
+                h: 64
+            })
         })
 
-        radioGroup.setProperty(prop.INIT, neverRepeatBtn)
+        radioGroup.setProperty(prop.INIT, repeatButtons[0])
 
         createWidget(widget.BUTTON, {
             x: 40,
-            y: 550,
+            y: 150 + 100 * this.repeat.length,
             w: 400,
             h: 60,
             radius: 30,
@@ -126,19 +76,38 @@ Page({
             text_size: 32,
             click_func: () => {
                 let result = JSON.parse(params)
-                result.repeat = REPEAT[repeat_page_index]
-                result.check_repeat = REPEAT[repeat_page_index]
+                const anniversary = repeat_page_index >= REPEAT.length
+                result.repeat = anniversary ? 'year' : REPEAT[repeat_page_index]
+                result.check_repeat = result.repeat
+                result.anniversary = anniversary
                 logger.log('Repeat add to event: ' + result.repeat)
-                eventServise.createNewEvent(result)
-                push({
-                    url: 'page/index',
-                    params: 'clear'
-                })
+                if (anniversary) {
+                    push({
+                        url: 'page/event/create/anniversary',
+                        params: JSON.stringify(result)
+                    })
+                    return
+                }
+                if (result.repeat == 'days') {
+                    push({
+                        url: 'page/event/create/week_days',
+                        params: JSON.stringify(result)
+                    })
+                    return
+                }
+                if (result.repeat != 'never') {
+                    push({
+                        url: 'page/event/create/interval',
+                        params: JSON.stringify(result)
+                    })
+                    return
+                }
+                createEventWithConflictCheck(result)
             }
         })
         createWidget(widget.BUTTON, {
             x: 40,
-            y: 550+100,
+            y: 150 + 100 * (this.repeat.length + 1),
             w: 400,
             h: 60,
             radius: 30,
@@ -0,0 +1,47 @@
+import { widget, createWidget } from '@zos/ui'
+import { getText } from '@zos/i18n'
+import {log} from '@zos/utils'
+import { DATE_TIME_PEACKER } from '../../../utils/Constants'
+import { createEventWithConflictCheck } from '../../../utils/ConflictDialog'
+
+const logger = log.getLogger('page/event/create/repeat_count.js')
+
+Page({
+    onInit(params) {
+        logger.log('Repeat count page init with params: ' + params)
+        const current_event = JSON.parse(params)
+        const counts = new Array(99).fill(0).map((d, index) => index + 2)
+        let count = counts[0]
+        const picker_cb = (picker, event_type, column_index, select_index) => {
+            if (event_type === 1) {
+                count = counts[select_index]
+            }
+            if (event_type == 2) {
+                current_event.repeat_count = count
+                logger.log('Add repeat count to event: ' + JSON.stringify(current_event))
+                createEventWithConflictCheck(current_event)
+            }
+        }
+        createWidget(widget.WIDGET_PICKER, {
+            title: getText('Number of times'),
+            subtitle: '',
+            nb_of_columns: 1,
+            single_wide: true,
+            init_col_index: 0,
+            data_config: [
+                {
+                    data_array: counts,
+                    init_val_index: 0,
+                    unit: getText('times'),
+                    support_loop: true,
+                    font_size: DATE_TIME_PEACKER.font_size,
+                    select_font_size: DATE_TIME_PEACKER.select_font_size,
+                    connector_font_size: DATE_TIME_PEACKER.connector_font_size,
+                    unit_font_size: DATE_TIME_PEACKER.font_size,
+                    col_width: DATE_TIME_PEACKER.col_width * 2
+                }
+            ],
+            picker_cb
+        })
+    }
+})
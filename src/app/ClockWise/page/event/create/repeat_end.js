@@ -0,0 +1,55 @@
+import { createWidget, widget, align } from '@zos/ui'
+import { getText } from '@zos/i18n'
+import { push } from '@zos/router'
+import {log} from '@zos/utils'
+import { styleColors } from '../../../utils/Constants'
+import { createEventWithConflictCheck } from '../../../utils/ConflictDialog'
+
+const logger = log.getLogger('page/event/create/repeat_end.js')
+
+Page({
+    onInit(params){
+        logger.log('Init repeat end page with params: ' + params)
+        const current_event = JSON.parse(params)
+        createWidget(widget.TEXT, {
+            text: getText('Repeat ends'),
+            w: 300,
+            h: 50,
+            x: (480-300)/2,
+            y: 80,
+            align_v: align.CENTER_V,
+            align_h: align.CENTER_H,
+            text_size: 35,
+            color: styleColors.white_smoke
+        })
+        const ends = [
+            { text: 'Never', url: null },
+            { text: 'On date', url: 'page/event/create/repeat_until' },
+            { text: 'After N times', url: 'page/event/create/repeat_count' },
+        ]
+        ends.forEach((end, index) => {
+            createWidget(widget.BUTTON, {
+                x: 40,
+                y: 160 + 90 * index,
+                w: 400,
+                h: 80,
+                radius: 40,
+                normal_color: index == 0 ? styleColors.dark_green : styleColors.dark_gray,
+                press_color: styleColors.blue_violet,
+                text: getText(end.text),
+                text_size: 32,
+                click_func: () => {
+                    if (end.url) {
+                        push({
+                            url: end.url,
+                            params: JSON.stringify(current_event)
+                        })
+                        return
+                    }
+                    logger.log('Endless repeat of event: ' + JSON.stringify(current_event))
+                    createEventWithConflictCheck(current_event)
+                }
+            })
+        })
+    }
+})
@@ -0,0 +1,95 @@
+import { widget, createWidget } from '@zos/ui'
+import { showToast } from '@zos/interaction'
+import { getText } from '@zos/i18n'
+import {log} from '@zos/utils'
+import { DATE_TIME_PEACKER } from '../../../utils/Constants'
+import { createEventWithConflictCheck } from '../../../utils/ConflictDialog'
+import { EventService } from '../../../utils/services/EventService'
+
+const logger = log.getLogger('page/event/create/repeat_until.js')
+
+Page({
+    onInit(params) {
+        logger.log('Repeat until page init with params: ' + params)
+        const current_event = JSON.parse(params)
+        const start = new Date(current_event.start)
+        let currentValues = {
+            day: start.getDate(),
+            month: start.getMonth(),
+            year: start.getFullYear()
+        }
+        const dataArrays = {
+            day: new Array(31).fill(0).map((d, index) => index + 1),
+            month: new Array(12).fill(0).map((d, index) => index + 1),
+            year: new Array(5).fill(0).map((d, index) => index + start.getFullYear())
+        }
+        const picker_cb = (picker, event_type, column_index, select_index) => {
+            if (event_type === 1) {
+                switch(column_index) {
+                    case 0:
+                        currentValues.day = dataArrays.day[select_index]
+                        break
+                    case 1:
+                        currentValues.month = dataArrays.month[select_index] - 1
+                        break
+                    case 2:
+                        currentValues.year = dataArrays.year[select_index]
+                        break
+                }
+            }
+            if (event_type == 2) {
+                const until = EventService.getEndOfDay(currentValues.year, currentValues.month, currentValues.day)
+                if (until < start) {
+                    showToast({ content: getText('Repeat must end after start') })
+                    return
+                }
+                current_event.repeat_until = until.toISOString()
+                logger.log('Add repeat until to event: ' + JSON.stringify(current_event))
+                createEventWithConflictCheck(current_event)
+            }
+        }
+        createWidget(widget.WIDGET_PICKER, {
+            title: getText('Repeat until'),
+            subtitle: '',
+            nb_of_columns: 3,
+            single_wide: true,
+            init_col_index: 0,
+            data_config: [
+                {
+                    data_array: dataArrays.day,
+                    init_val_index: currentValues.day - 1,
+                    unit: 'D',
+                    support_loop: true,
+                    font_size: DATE_TIME_PEACKER.font_size,
+                    select_font_size: DATE_TIME_PEACKER.select_font_size,
+                    connector_font_size: DATE_TIME_PEACKER.connector_font_size,
+                    unit_font_size: DATE_TIME_PEACKER.unit_font_size,
+                    col_width: DATE_TIME_PEACKER.col_width
+                },
+                {
+                    data_array: dataArrays.month,
+                    init_val_index: currentValues.month,
+                    unit: 'M',
+                    support_loop: true,
+                    font_size: DATE_TIME_PEACKER.font_size,
+                    select_font_size: DATE_TIME_PEACKER.select_font_size,
+                    connector_font_size: DATE_TIME_PEACKER.connector_font_size,
+                    unit_font_size: DATE_TIME_PEACKER.unit_font_size,
+                    col_width: DATE_TIME_PEACKER.col_width
+                },
+                {
+                    data_array: dataArrays.year,
+                    init_val_index: 0,
+                    unit: 'Y',
+                    support_loop: true,
+                    font_size: DATE_TIME_PEACKER.font_size,
+                    select_font_size: DATE_TIME_PEACKER.select_font_size,
+                    connector_font_size: DATE_TIME_PEACKER.connector_font_size,
+                    unit_font_size: DATE_TIME_PEACKER.unit_font_size,
+                    col_width: DATE_TIME_PEACKER.col_width * 2
+                }
+            ],
+            picker_cb
+        })
+    }
+})
@@ -10,6 +10,7 @@ const logger = log.getLogger('start.js')
 Page({
     onInit(params) {
         logger.log('Start date page init with params: ' + params)
+        const allDay = JSON.parse(params).all_day
         const time = new Time()
         let currentValues = {
                 day: time.getDate(),
@@ -56,6 +57,7 @@ Page({
                 startDate.setDate(currentValues.day)
                 startDate.setHours(currentValues.hour)
                 startDate.setMinutes(currentValues.minute)
+                if (allDay) startDate.setHours(0, 0, 0, 0)
                 const current_event = JSON.parse(params)
                 current_event.start = startDate
                 logger.log('Add start to event: ' + JSON.stringify(current_event))
@@ -69,7 +71,7 @@ Page({
         const picker_widget = createWidget(widget.WIDGET_PICKER, {
             title: getText('Start event'),
             subtitle: '',
-            nb_of_columns: 5,
+            nb_of_columns: allDay ? 3 : 5,
             single_wide: true,
             init_col_index: 1,
             data_config: [
@@ -128,7 +130,7 @@ Page({
                     unit_font_size: unit_font_size,
                     col_width: col_width
                 }
-            ],
+            ].slice(0, allDay ? 3 : 5),
             picker_cb
         })
     }
@@ -0,0 +1,86 @@
+import { createWidget, widget, align, text_style } from '@zos/ui'
+import { getText } from '@zos/i18n'
+import {log} from '@zos/utils'
+import { styleColors } from '../../utils/Constants'
+
+const logger = log.getLogger('page/event/details.js')
+
+/**
+ * Notes, location and attendees of event, page is scrolled if the text is long
+ */
+Page({
+    initBg(){
+        this.circle = createWidget(widget.CIRCLE, {
+        center_x: 240,
+        center_y: 240,
+        radius: 227,
+        color: styleColors.white_smoke,
+        })
+        this.circle = createWidget(widget.CIRCLE, {
+        center_x: 240,
+        center_y: 240,
+        radius: 225,
+        color: styleColors.black,
+        })
+    },
+
+    sections(event){
+        let result = []
+        if (event.location) result.push({ title: '📍 ' + getText('Location'), text: event.location })
+        if (event.attendees && event.attendees.length > 0) result.push({ title: '👥 ' + getText('Attendees'), text: event.attendees.join(', ') })
+        if (event.notes) result.push({ title: '📝 ' + getText('Notes'), text: event.notes })
+        return result
+    },
+
+    onInit(params){
+        logger.log('Init event details page with params: ' + params)
+        this.initBg()
+        const event = JSON.parse(params)
+        const container = createWidget(widget.VIEW_CONTAINER, {
+            x: 0,
+            y: 0,
+            w: 480,
+            h: 480,
+        })
+        container.createWidget(widget.TEXT, {
+            text: event.description,
+            x: 60,
+            y: 50,
+            w: 360,
+            h: 50,
+            text_size: 35,
+            align_h: align.CENTER_H,
+            align_v: align.CENTER_V,
+            color: styleColors.white
+        })
+        let y = 120
+        for (const section of this.sections(event)) {
+            container.createWidget(widget.TEXT, {
+                text: section.title,
+                x: 60,
+                y: y,
+                w: 360,
+                h: 40,
+                text_size: 28,
+                align_h: align.LEFT,
+                color: styleColors.light_gray
+            })
+            // Height of wrapped text is estimated by its length, about 20 letters fit in a line
+            const height = Math.ceil(section.text.length / 20) * 40
+            container.createWidget(widget.TEXT, {
+                text: section.text,
+                x: 60,
+                y: y + 40,
+                w: 360,
+                h: height,
+                text_size: 30,
+                align_h: align.LEFT,
+                text_style: text_style.WRAP,
+                color: styleColors.white_smoke
+            })
+            y += 60 + height
+        }
+        // Empty space at the bottom lets the last lines scroll out of the round edge
+        container.createWidget(widget.TEXT, { text: '', x: 0, y: y, w: 480, h: 120 })
+    }
+})
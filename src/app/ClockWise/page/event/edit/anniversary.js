@@ -0,0 +1,70 @@
+import { push } from '@zos/router'
+import { widget, createWidget } from '@zos/ui'
+import { getText } from '@zos/i18n'
+import {log} from '@zos/utils'
+import { onGesture, GESTURE_RIGHT } from '@zos/interaction'
+import { editEventWithConflictCheck } from '../../../utils/ConflictDialog'
+import { DATE_TIME_PEACKER } from '../../../utils/Constants'
+
+const logger = log.getLogger('page/event/edit/anniversary.js')
+
+Page({
+
+    registerGes(params){
+        onGesture({
+            callback: (event) => {
+            if (event === GESTURE_RIGHT) {
+                logger.log('Edit anniversary canceled push to edit menu')
+                push({
+                    url: 'page/event/edit/menu',
+                    params: params
+                })
+            }
+            return true
+            },
+        })
+    },
+
+    onInit(params) {
+        logger.log('Init edit anniversary with params: ' + params)
+        this.registerGes(params)
+        let needToEdit = JSON.parse(params)
+        const startYear = new Date(needToEdit.start).getFullYear()
+        const years = new Array(120).fill(0).map((d, index) => startYear - index)
+        let anniversaryYear = needToEdit.anniversary_year && needToEdit.anniversary_year <= startYear ?
+            needToEdit.anniversary_year : startYear
+        const picker_cb = (picker, event_type, column_index, select_index) => {
+            if (event_type === 1) {
+                anniversaryYear = years[select_index]
+            }
+            if (event_type == 2) {
+                needToEdit.anniversary_year = anniversaryYear
+                needToEdit.repeat_until = undefined
+                needToEdit.repeat_count = undefined
+                logger.log('Edit anniversary done, new year: ' + needToEdit.anniversary_year)
+                editEventWithConflictCheck(needToEdit)
+            }
+        }
+        createWidget(widget.WIDGET_PICKER, {
+            title: getText('Count years since'),
+            subtitle: '',
+            nb_of_columns: 1,
+            single_wide: true,
+            init_col_index: 0,
+            data_config: [
+                {
+                    data_array: years,
+                    init_val_index: Math.min(startYear - anniversaryYear, years.length - 1),
+                    unit: 'Y',
+                    support_loop: false,
+                    font_size: DATE_TIME_PEACKER.font_size,
+                    select_font_size: DATE_TIME_PEACKER.select_font_size,
+                    connector_font_size: DATE_TIME_PEACKER.connector_font_size,
+                    unit_font_size: DATE_TIME_PEACKER.font_size,
+                    col_width: DATE_TIME_PEACKER.col_width * 2
+                }
+            ],
+            picker_cb
+        })
+    }
+})
@@ -0,0 +1,53 @@
+import { onGesture, GESTURE_RIGHT } from '@zos/interaction'
+import { createKeyboard, inputType } from '@zos/ui'
+import { push, back } from '@zos/router'
+import { getText } from '@zos/i18n'
+import {log} from '@zos/utils'
+
+import { eventServise } from '../../../utils/Globals'
+
+const logger = log.getLogger('page/event/edit/attendees.js')
+
+Page ({
+
+    registerGes(){
+        onGesture({
+            callback: (event) => {
+            if (event === GESTURE_RIGHT) {
+                logger.log('Edit attendees canceled push to edit menu')
+                push({
+                    url: 'page/event/edit/menu',
+                    params: JSON.stringify(event)
+                })
+            }
+            return true
+            },
+        })
+    },
+
+    onInit(params){
+        logger.log('Init edit attendees page with params: ' + params)
+        this.registerGes()
+        let needToEditEvent = JSON.parse(params)
+        const attendees = needToEditEvent.attendees || []
+        createKeyboard({
+            inputType: inputType.JSKB,
+            onComplete: (keyboardWidget, result) => {
+                // Names are separated by commas, empty text removes all attendees
+                const names = result.data.split(',').map((name) => name.trim()).filter((name) => name !== '')
+                needToEditEvent.attendees = names.length > 0 ? names : undefined
+                logger.log('Edit attendees done: ' + JSON.stringify(needToEditEvent.attendees))
+                eventServise.editEvent(needToEditEvent, needToEditEvent.edit_scope)
+                push({
+                    url: 'page/event',
+                    params: JSON.stringify(needToEditEvent)
+                })
+            },
+            onCancel: (keyboardWidget, result) => {
+                logger.log('Edit attendees canceled')
+                back()
+            },
+            text: attendees.length > 0 ? attendees.join(', ') : getText('Names separated by commas')
+        })
+    }
+})
@@ -0,0 +1,89 @@
+import { onGesture, GESTURE_RIGHT } from '@zos/interaction'
+import { createWidget, widget } from '@zos/ui'
+import { getText } from '@zos/i18n'
+import { push } from '@zos/router'
+import {log} from '@zos/utils'
+import { eventServise } from '../../../utils/Globals'
+import { styleColors } from '../../../utils/Constants'
+import { CategoryService } from '../../../utils/services/CategoryService'
+
+const logger = log.getLogger('page/event/edit/category.js')
+
+Page({
+
+    registerGes(){
+        onGesture({
+            callback: (event) => {
+            if (event === GESTURE_RIGHT) {
+                logger.log('Edit category canceled push to edit menu')
+                push({
+                    url: 'page/event/edit/menu',
+                    params: JSON.stringify(event)
+                })
+            }
+            return true
+            },
+        })
+    },
+
+    onInit(params){
+        logger.log('Init edit category page, current category is: ' + JSON.parse(params).category)
+        this.registerGes()
+        const title = createWidget(widget.TEXT, {
+            x: 140,
+            y: 50,
+            text: getText('Category'),
+            text_size: 40,
+            w: 480,
+            h: 50,
+        })
+        const scrollList = createWidget(widget.VIEW_CONTAINER, {
+            x: 0,
+            y: 120,
+            w: 480,
+            h: 360,
+        })
+        const categories = CategoryService.getAll()
+        categories.forEach((category, index) => {
+            scrollList.createWidget(widget.BUTTON, {
+                x: 50,
+                y: 90 * index,
+                w: 380,
+                h: 70,
+                radius: 35,
+                normal_color: category.color,
+                press_color: 0xfeb4a8,
+                text: category.getLabel(),
+                text_size: 32,
+                click_func: () => {
+                    let current_event = JSON.parse(params)
+                    current_event.category = category.id
+                    current_event.color = category.color
+                    eventServise.editEvent(current_event, current_event.edit_scope)
+                    logger.log('Edit category done, current category: ' + current_event.category)
+                    push({
+                        url: 'page/event',
+                        params: JSON.stringify(current_event)
+                    })
+                }
+            })
+        })
+        scrollList.createWidget(widget.BUTTON, {
+            x: 50,
+            y: 90 * categories.length,
+            w: 380,
+            h: 70,
+            radius: 35,
+            normal_color: styleColors.dark_gray,
+            press_color: styleColors.blue_violet,
+            text: getText('Other color'),
+            text_size: 32,
+            click_func: () => {
+                push({
+                    url: 'page/event/edit/color',
+                    params: params
+                })
+            }
+        })
+    }
+})
@@ -0,0 +1,138 @@
+import { onGesture, GESTURE_RIGHT } from '@zos/interaction'
+import { createWidget, widget, align } from '@zos/ui'
+import { push } from '@zos/router'
+import { getText } from '@zos/i18n'
+import {log} from '@zos/utils'
+import { styleColors } from '../../../utils/Constants'
+import { eventServise } from '../../../utils/Globals'
+
+const logger = log.getLogger('page/event/edit/checklist.js')
+
+/**
+ * Items of the checklist can be added or deleted, new item is typed on keyboard
+ */
+Page({
+    registerGes(params){
+        onGesture({
+            callback: (event) => {
+            if (event === GESTURE_RIGHT) {
+                push({
+                    url: 'page/event',
+                    params: params
+                })
+            }
+            return true
+            },
+        })
+    },
+
+    initBg(){
+        this.circle = createWidget(widget.CIRCLE, {
+        center_x: 240,
+        center_y: 240,
+        radius: 227,
+        color: styleColors.white_smoke,
+        })
+        this.circle = createWidget(widget.CIRCLE, {
+        center_x: 240,
+        center_y: 240,
+        radius: 225,
+        color: styleColors.black,
+        })
+    },
+
+    initTitle(){
+        createWidget(widget.TEXT, {
+            text: getText('Checklist'),
+            x: 0,
+            y: 50,
+            w: 480,
+            h: 50,
+            text_size: 35,
+            align_h: align.CENTER_H,
+            align_v: align.CENTER_V,
+            color: styleColors.white
+        })
+    },
+
+    addKeys(items){
+        let result = [{ add_img: 'add_btn.png', add_text: getText('Add item') }]
+        for (const item of items) {
+            result.push({ text: item.text, del_img: 'delete.png' })
+        }
+        return result
+    },
+
+    onInit(params){
+        logger.log('Init edit checklist page with params: ' + params)
+        this.registerGes(params)
+        this.initBg()
+        this.initTitle()
+        const current_event = JSON.parse(params)
+        const items = current_event.checklist || []
+        const listItems = this.addKeys(items)
+        createWidget(widget.SCROLL_LIST, {
+            x: (480-380)/2,
+            y: 110,
+            h: 370,
+            w: 380,
+            radius: 10,
+            item_space: 20,
+            snap_to_center: true,
+            item_config: [
+                {
+                    type_id: 0,
+                    item_bg_color: styleColors.dark_green,
+                    item_bg_radius: 35,
+                    text_view: [
+                        { x: 80, y: 0, w: 280, h: 70, key: 'add_text', color: styleColors.white_smoke, text_size: 30, align_h: align.LEFT },
+                    ],
+                    text_view_count: 1,
+                    image_view: [{ x: 10, y: 3, w: 64, h: 64, key: 'add_img', action: true }],
+                    image_view_count: 1,
+                    item_height: 70
+                },
+                {
+                    type_id: 1,
+                    item_bg_color: styleColors.dark_gray,
+                    item_bg_radius: 35,
+                    text_view: [
+                        { x: 20, y: 0, w: 270, h: 70, key: 'text', color: styleColors.white_smoke, text_size: 30, align_h: align.LEFT },
+                    ],
+                    text_view_count: 1,
+                    image_view: [{ x: 300, y: 3, w: 64, h: 64, key: 'del_img', action: true }],
+                    image_view_count: 1,
+                    item_height: 70
+                },
+            ],
+            item_config_count: 2,
+            data_array: listItems,
+            data_count: listItems.length,
+            item_focus_change_func: (list, index, focus) => {},
+            item_click_func: (item, index, data_key) => {
+                if (index == 0) {
+                    push({
+                        url: 'page/event/edit/checklist_item',
+                        params: params
+                    })
+                }
+                else if (data_key === 'del_img') {
+                    const removed = items.splice(index-1, 1)
+                    // Event without items has no checklist
+                    current_event.checklist = items.length > 0 ? items : undefined
+                    eventServise.editEvent(current_event, current_event.edit_scope)
+                    logger.log('Checklist item deleted: ' + JSON.stringify(removed))
+                    push({
+                        url: 'page/event/edit/checklist',
+                        params: JSON.stringify(current_event)
+                    })
+                }
+            },
+            data_type_config: [
+                { start: 0, end: 0, type_id: 0 },
+                { start: 1, end: listItems.length - 1, type_id: 1 },
+            ],
+            data_type_config_count: items.length > 0 ? 2 : 1
+        })
+    }
+})
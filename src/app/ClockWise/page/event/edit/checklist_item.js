@@ -0,0 +1,35 @@
+import { createKeyboard, inputType } from '@zos/ui'
+import { push, back } from '@zos/router'
+import { getText } from '@zos/i18n'
+import {log} from '@zos/utils'
+
+import { eventServise } from '../../../utils/Globals'
+
+const logger = log.getLogger('page/event/edit/checklist_item.js')
+
+Page ({
+    onInit(params){
+        logger.log('Init checklist item keyboard with params: ' + params)
+        let needToEditEvent = JSON.parse(params)
+        createKeyboard({
+            inputType: inputType.JSKB,
+            onComplete: (keyboardWidget, result) => {
+                const text = result.data.trim()
+                if (text !== '') {
+                    needToEditEvent.checklist = [...(needToEditEvent.checklist || []), { text: text, done: false }]
+                    eventServise.editEvent(needToEditEvent, needToEditEvent.edit_scope)
+                    logger.log('Checklist item added: ' + text)
+                }
+                push({
+                    url: 'page/event/edit/checklist',
+                    params: JSON.stringify(needToEditEvent)
+                })
+            },
+            onCancel: (keyboardWidget, result) => {
+                logger.log('Add checklist item canceled')
+                back()
+            },
+            text: getText('New item')
+        })
+    }
+})
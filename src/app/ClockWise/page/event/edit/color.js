@@ -58,7 +58,8 @@ Page({
                     click_func: (color_i) => {
                         let current_event = JSON.parse(params)
                         current_event.color = currentColor
-                        eventServise.editEvent(current_event)
+                        delete current_event.category
+                        eventServise.editEvent(current_event, current_event.edit_scope)
                         logger.log('Edit color done, current color: ' + current_event.color)
                         push({
                             url: 'page/event',
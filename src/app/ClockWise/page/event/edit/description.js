@@ -33,7 +33,7 @@ Page ({
             onComplete: (keyboardWidget, result) => {
                 needToEditEvent.description = result.data
                 logger.log('Edit description done: ' + needToEditEvent.description)
-                eventServise.editEvent(needToEditEvent)
+                eventServise.editEvent(needToEditEvent, needToEditEvent.edit_scope)
                 push({
                     url: 'page/event',
                     params: JSON.stringify(needToEditEvent)
@@ -3,7 +3,7 @@ import { widget, createWidget } from '@zos/ui'
 import { getText } from '@zos/i18n'
 import {log} from '@zos/utils'
 import { onGesture, GESTURE_RIGHT } from '@zos/interaction'
-import { eventServise } from '../../../utils/Globals'
+import { editEventWithConflictCheck } from '../../../utils/ConflictDialog'
 import { DATE_TIME_PEACKER } from '../../../utils/Constants'
 
 
@@ -30,6 +30,7 @@ Page({
         logger.log('Init edit end of event with params: ' + params)
         this.registerGes()
         let needToEdit = JSON.parse(params)
+        const allDay = needToEdit.all_day
         const end = new Date(needToEdit.end)
         let currentValues = {
             day: end.getDate(),
@@ -71,20 +72,17 @@ Page({
                 endDate.setDate(currentValues.day)
                 endDate.setHours(currentValues.hour)
                 endDate.setMinutes(currentValues.minute)
+                if (allDay) endDate.setHours(23, 59, 59, 999)
                 needToEdit.end = endDate
-                eventServise.editEvent(needToEdit)
                 logger.log('Edit end date done, new end: ' +  needToEdit.end)
-                push({
-                    url: 'page/event',
-                    params: JSON.stringify(needToEdit),
-                })
+                editEventWithConflictCheck(needToEdit)
             }
         }
 
         const picker_widget = createWidget(widget.WIDGET_PICKER, {
             title: getText('Event end'),
             subtitle: '',
-            nb_of_columns: 5,
+            nb_of_columns: allDay ? 3 : 5,
             single_wide: true,
             init_col_index: 1,
             data_config: [
@@ -143,7 +141,7 @@ Page({
                     unit_font_size: DATE_TIME_PEACKER.unit_font_size,
                     col_width: DATE_TIME_PEACKER.col_width
                 }
-            ],
+            ].slice(0, allDay ? 3 : 5),
             picker_cb
         })
     }
@@ -0,0 +1,69 @@
+import { push } from '@zos/router'
+import { widget, createWidget } from '@zos/ui'
+import { getText } from '@zos/i18n'
+import {log} from '@zos/utils'
+import { onGesture, GESTURE_RIGHT } from '@zos/interaction'
+import { DATE_TIME_PEACKER, REPEAT_INTERVAL_UNITS } from '../../../utils/Constants'
+import { EventService } from '../../../utils/services/EventService'
+
+const logger = log.getLogger('page/event/edit/interval.js')
+
+Page({
+
+    registerGes(params){
+        onGesture({
+            callback: (event) => {
+            if (event === GESTURE_RIGHT) {
+                logger.log('Edit interval canceled push to edit menu')
+                push({
+                    url: 'page/event/edit/menu',
+                    params: params
+                })
+            }
+            return true
+            },
+        })
+    },
+
+    onInit(params) {
+        logger.log('Init edit repeat interval with params: ' + params)
+        this.registerGes(params)
+        let needToEdit = JSON.parse(params)
+        const intervals = new Array(30).fill(0).map((d, index) => index + 1)
+        let interval = Math.min(EventService.getRepeatInterval(needToEdit), intervals.length)
+        const picker_cb = (picker, event_type, column_index, select_index) => {
+            if (event_type === 1) {
+                interval = intervals[select_index]
+            }
+            if (event_type == 2) {
+                needToEdit.repeat_interval = interval
+                logger.log('Edit repeat interval done, new interval: ' + needToEdit.repeat_interval)
+                push({
+                    url: 'page/event/edit/repeat_end',
+                    params: JSON.stringify(needToEdit),
+                })
+            }
+        }
+        createWidget(widget.WIDGET_PICKER, {
+            title: getText('Repeat every'),
+            subtitle: '',
+            nb_of_columns: 1,
+            single_wide: true,
+            init_col_index: 0,
+            data_config: [
+                {
+                    data_array: intervals,
+                    init_val_index: interval - 1,
+                    unit: REPEAT_INTERVAL_UNITS[needToEdit.repeat],
+                    support_loop: true,
+                    font_size: DATE_TIME_PEACKER.font_size,
+                    select_font_size: DATE_TIME_PEACKER.select_font_size,
+                    connector_font_size: DATE_TIME_PEACKER.connector_font_size,
+                    unit_font_size: DATE_TIME_PEACKER.font_size,
+                    col_width: DATE_TIME_PEACKER.col_width * 2
+                }
+            ],
+            picker_cb
+        })
+    }
+})
@@ -35,9 +35,10 @@ Page({
         color: styleColors.black,
         })
     },
-    initTitle(){
+    initTitle(scope){
+        const titles = { occurrence: 'This occurrence', following: 'This and following' }
         createWidget(widget.TEXT, {
-            text: getText('Edit'),
+            text: getText(titles[scope] || 'Edit'),
             w: 480,
             h: 30,
             x: 0,
@@ -71,14 +72,22 @@ Page({
         logger.log('Init edit event menu page with params: ' + params)
         this.registerGes()
         this.initBg()
-        this.initTitle()
+        this.initTitle(JSON.parse(params).edit_scope)
         const menu = [
-            {src:'', text: getText('Description')},
-            {src:'', text: getText('Start date')},
-            {src:'', text: getText('End date')},
-            {src:'', text: getText('Color')},
-            {src:'', text: getText('Repeat')},
+            {src:'', text: getText('Description'), url: 'page/event/edit/description'},
+            {src:'', text: getText('Notes'), url: 'page/event/edit/notes'},
+            {src:'', text: getText('Location'), url: 'page/event/edit/location'},
+            {src:'', text: getText('Attendees'), url: 'page/event/edit/attendees'},
+            {src:'', text: getText('Checklist'), url: 'page/event/edit/checklist'},
+            {src:'', text: getText('Start date'), url: 'page/event/edit/start_date'},
+            {src:'', text: getText('End date'), url: 'page/event/edit/end_date'},
+            {src:'', text: getText('Category'), url: 'page/event/edit/category'},
+            {src:'', text: getText('Priority'), url: 'page/event/edit/priority'},
         ]
+        if (JSON.parse(params).edit_scope != 'occurrence') {
+            menu.push({src:'', text: getText('Repeat'), url: 'page/event/edit/repeat'})
+            menu.push({src:'', text: getText('Time zone'), url: 'page/event/edit/timezone'})
+        }
         cycleList = createWidget(widget.CYCLE_IMAGE_TEXT_LIST, {
             x: (480-330)/2,
             y: (480-300)/2,
@@ -93,37 +102,11 @@ Page({
             item_text_y: 10,
             item_text_size: 40,
             item_click_func: (cyckleList ,index) => {
-                if (index == 0){
-                    logger.log('Init edit description')
-                    push({
-                        url: 'page/event/edit/description',
-                        params: params
-                    })
-                } else if (index == 1){
-                    logger.log('Init edit start of event')
-                    push({
-                        url: 'page/event/edit/start_date',
-                        params: params
-                    })
-                } else if (index == 2) {
-                    logger.log('Init edit end of event')
-                    push({
-                        url: 'page/event/edit/end_date',
-                        params: params
-                    })
-                } else if (index == 3) {
-                    logger.log('Init edit color')
-                    push({
-                        url: 'page/event/edit/color',
-                        params: params
-                    })
-                } else if (index == 4) {
-                    logger.log('Init edit repeat')
-                    push({
-                        url: 'page/event/edit/repeat',
-                        params: params
-                    })  
-                }
+                logger.log('Init edit: ' + menu[index].url)
+                push({
+                    url: menu[index].url,
+                    params: params
+                })
             },
             item_focus_change_func: (cycleList, index, isFocus) => {}
         })
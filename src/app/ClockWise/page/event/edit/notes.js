@@ -0,0 +1,51 @@
+import { onGesture, GESTURE_RIGHT } from '@zos/interaction'
+import { createKeyboard, inputType } from '@zos/ui'
+import { push, back } from '@zos/router'
+import { getText } from '@zos/i18n'
+import {log} from '@zos/utils'
+
+import { eventServise } from '../../../utils/Globals'
+
+const logger = log.getLogger('page/event/edit/notes.js')
+
+Page ({
+
+    registerGes(){
+        onGesture({
+            callback: (event) => {
+            if (event === GESTURE_RIGHT) {
+                logger.log('Edit notes canceled push to edit menu')
+                push({
+                    url: 'page/event/edit/menu',
+                    params: JSON.stringify(event)
+                })
+            }
+            return true
+            },
+        })
+    },
+
+    onInit(params){
+        logger.log('Init edit notes page with params: ' + params)
+        this.registerGes()
+        let needToEditEvent = JSON.parse(params)
+        createKeyboard({
+            inputType: inputType.JSKB,
+            onComplete: (keyboardWidget, result) => {
+                // Empty text removes notes
+                needToEditEvent.notes = result.data.trim() || undefined
+                logger.log('Edit notes done: ' + needToEditEvent.notes)
+                eventServise.editEvent(needToEditEvent, needToEditEvent.edit_scope)
+                push({
+                    url: 'page/event',
+                    params: JSON.stringify(needToEditEvent)
+                })
+            },
+            onCancel: (keyboardWidget, result) => {
+                logger.log('Edit notes canceled')
+                back()
+            },
+            text: needToEditEvent.notes || getText('Notes')
+        })
+    }
+})
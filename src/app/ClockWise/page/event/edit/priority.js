@@ -0,0 +1,68 @@
+import { onGesture, GESTURE_RIGHT } from '@zos/interaction'
+import { createWidget, widget, align } from '@zos/ui'
+import { getText } from '@zos/i18n'
+import { push } from '@zos/router'
+import {log} from '@zos/utils'
+import { eventServise } from '../../../utils/Globals'
+import { PRIORITIES, styleColors } from '../../../utils/Constants'
+
+const logger = log.getLogger('page/event/edit/priority.js')
+
+Page({
+
+    registerGes(){
+        onGesture({
+            callback: (event) => {
+            if (event === GESTURE_RIGHT) {
+                logger.log('Edit priority canceled push to edit menu')
+                push({
+                    url: 'page/event/edit/menu',
+                    params: JSON.stringify(event)
+                })
+            }
+            return true
+            },
+        })
+    },
+
+    onInit(params){
+        logger.log('Init edit priority page with params: ' + params)
+        this.registerGes()
+        const current_event = JSON.parse(params)
+        const currentPriority = current_event.priority || 'normal'
+        createWidget(widget.TEXT, {
+            text: getText('Priority'),
+            w: 300,
+            h: 50,
+            x: (480-300)/2,
+            y: 60,
+            align_v: align.CENTER_V,
+            align_h: align.CENTER_H,
+            text_size: 35,
+            color: styleColors.white_smoke
+        })
+        const colors = { low: styleColors.dark_gray, normal: styleColors.dark_green, high: styleColors.dark_red }
+        PRIORITIES.forEach((priority, index) => {
+            createWidget(widget.BUTTON, {
+                x: 40,
+                y: 140 + 100 * index,
+                w: 400,
+                h: 80,
+                radius: 40,
+                normal_color: colors[priority],
+                press_color: styleColors.blue_violet,
+                text: (priority == currentPriority ? '✔ ' : '') + getText(priority),
+                text_size: 32,
+                click_func: () => {
+                    current_event.priority = priority
+                    eventServise.editEvent(current_event, current_event.edit_scope)
+                    logger.log('Edit priority done, current priority: ' + current_event.priority)
+                    push({
+                        url: 'page/event',
+                        params: JSON.stringify(current_event)
+                    })
+                }
+            })
+        })
+    }
+})
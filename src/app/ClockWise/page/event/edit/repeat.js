@@ -2,7 +2,7 @@ import { createWidget, widget, prop, align } from '@zos/ui'
 import { onGesture, GESTURE_RIGHT } from '@zos/interaction'
 import { getText } from '@zos/i18n'
 import { styleColors } from '../../../utils/Constants';
-import { eventServise } from '../../../utils/Globals';
+import { editEventWithConflictCheck } from '../../../utils/ConflictDialog'
 import { REPEAT } from '../../../utils/Constants';
 import { push } from '@zos/router'
 import {log} from '@zos/utils'
@@ -11,7 +11,7 @@ let repeat_page_index = 0
 const logger = log.getLogger('page/event/edit/repeat.js')
 
 Page({
-    repeat: ['Never','Every day', 'Every week', 'Every month'],
+    repeat: ['Never','Every day', 'Every week', 'Every month', 'Selected days', 'Monthly by weekday', 'Every year', 'Anniversary'],
 
     registerGes(){
         onGesture({
@@ -56,84 +56,31 @@ Page({
             }
         })
         const x = 380
-        const neverRepeatBtn = radioGroup.createWidget(widget.STATE_BUTTON, {
-            x: x,
-            y: 150,
-            w: 64,
-            h: 64
-        })
-        const everyDayRepeatBtn= radioGroup.createWidget(widget.STATE_BUTTON, {
-            x: x,
-            y: 250,
-            w: 64,
-            h: 64
-        })
-        const everyWeekRepeatBtn = radioGroup.createWidget(widget.STATE_BUTTON, {
-            x: x,
-            y: 350,
-            w: 64,
-            h: 64
-        })
-        const everyMonthRepeatBtn = radioGroup.createWidget(widget.STATE_BUTTON, {
-            x: x,
-            y: 450,
-            w: 64,
-            h: 64
+        const repeatButtons = this.repeat.map((text, index) => {
+            createWidget(widget.TEXT, {
+                text: getText(text),
+                w: 250,
+                h: 64,
+                x: 70,
+                y: 140 + 100 * index,
+                align_v: align.CENTER_V,
+                align_h: align.LEFT,
+                text_size: 32,
+                color: styleColors.white_smoke
+            })
+            return radioGroup.createWidget(widget.STATE_BUTTON, {
+                x: x,
+                y: 150 + 100 * index,
+                w: 64,
+                h: 64
+            })
         })
-
-        const neverRepeatLabel = createWidget(widget.TEXT, {
-            text: getText(this.repeat[0]),
-            w: 250,
-            h: 135,
-            x: 70,     
-            y: 140,
-            align_v: align.UP,
-            align_h: align.LEFT,
-            text_size: 32,
-            color: styleColors.white_smoke
-        })
-        const everyDayRepeatLabel = createWidget(widget.TEXT, {
-            text: getText(this.repeat[1]),
-            w: 250,
-            h: 64,
-            x: 70,
-            y: 240,
-            align_v: align.CENTER_V,
-            align_h: align.LEFT,
-            text_size: 32,
-            color: styleColors.white_smoke
-        })
-        const everyWeekRepeatLabel = createWidget(widget.TEXT, {
-            text: getText(this.repeat[2]),
-            w: 250,
-            h: 64,
-            x: 70,
-            y: 340,
-            align_v: align.CENTER_V,
-            align_h: align.LEFT,
-            text_size: 32,
-            color: styleColors.white_smoke
-        })
-        const everyMonthRepeatLabel = createWidget(widget.TEXT, {
-            text: getText(this.repeat[3]),
-            w: 250,
-            h: 64,
-            x: 70,
-            y: 440,
-            align_v: align.CENTER_V,
-            align_h: align.LEFT,
-            text_size: 32,
-            color: styleColors.white_smoke
-        })
-        const repeatIndex = REPEAT.indexOf(JSON.parse(params).check_repeat)
-        if (repeatIndex == 1) radioGroup.setProperty(prop.INIT, everyDayRepeatBtn)
-        else if (repeatIndex == 2) radioGroup.setProperty(prop.INIT, everyWeekRepeatBtn)
-        else if (repeatIndex == 3) radioGroup.setProperty(prop.INIT, everyMonthRepeatBtn)
-        else radioGroup.setProperty(prop.INIT, neverRepeatBtn)
+        const repeatIndex = JSON.parse(params).anniversary ? REPEAT.length : REPEAT.indexOf(JSON.parse(params).check_repeat)
+        radioGroup.setProperty(prop.INIT, repeatButtons[repeatIndex > 0 ? repeatIndex : 0])
 
         createWidget(widget.BUTTON, {
             x: 40,
-            y: 550,
+            y: 150 + 100 * this.repeat.length,
             w: 400,
             h: 60,
             radius: 30,
@@ -143,18 +90,37 @@ Page({
             text_size: 32,
             click_func: () => {
                 let result = JSON.parse(params)
-                result.repeat = REPEAT[repeat_page_index]
+                const anniversary = repeat_page_index >= REPEAT.length
+                result.repeat = anniversary ? 'year' : REPEAT[repeat_page_index]
+                result.anniversary = anniversary
+                if (anniversary) {
+                    push({
+                        url: 'page/event/edit/anniversary',
+                        params: JSON.stringify(result)
+                    })
+                    return
+                }
+                if (result.repeat == 'days') {
+                    push({
+                        url: 'page/event/edit/week_days',
+                        params: JSON.stringify(result)
+                    })
+                    return
+                }
+                if (result.repeat != 'never') {
+                    push({
+                        url: 'page/event/edit/interval',
+                        params: JSON.stringify(result)
+                    })
+                    return
+                }
                 logger.log('Edit repeate done new repeat: ' + result.repeat)
-                eventServise.editEvent(result)
-                push({
-                    url: 'page/event',
-                    params: JSON.stringify(result)
-                })
+                editEventWithConflictCheck(result)
             }
         })
         createWidget(widget.BUTTON, {
             x: 40,
-            y: 550+100,
+            y: 150 + 100 * (this.repeat.length + 1),
             w: 400,
             h: 60,
             radius: 30,
@@ -0,0 +1,66 @@
+import { push } from '@zos/router'
+import { widget, createWidget } from '@zos/ui'
+import { getText } from '@zos/i18n'
+import { onGesture, GESTURE_RIGHT } from '@zos/interaction'
+import {log} from '@zos/utils'
+import { DATE_TIME_PEACKER } from '../../../utils/Constants'
+import { editEventWithConflictCheck } from '../../../utils/ConflictDialog'
+
+const logger = log.getLogger('page/event/edit/repeat_count.js')
+
+Page({
+    registerGes(params){
+        onGesture({
+            callback: (event) => {
+            if (event === GESTURE_RIGHT) {
+                logger.log('Edit repeat count canceled push to edit menu')
+                push({
+                    url: 'page/event/edit/menu',
+                    params: params
+                })
+            }
+            return true
+            },
+        })
+    },
+
+    onInit(params) {
+        logger.log('Init edit repeat count with params: ' + params)
+        this.registerGes(params)
+        let needToEdit = JSON.parse(params)
+        const counts = new Array(99).fill(0).map((d, index) => index + 2)
+        let count = counts.includes(needToEdit.repeat_count) ? needToEdit.repeat_count : counts[0]
+        const picker_cb = (picker, event_type, column_index, select_index) => {
+            if (event_type === 1) {
+                count = counts[select_index]
+            }
+            if (event_type == 2) {
+                needToEdit.repeat_count = count
+                needToEdit.repeat_until = undefined
+                logger.log('Edit repeat count done, new count: ' + needToEdit.repeat_count)
+                editEventWithConflictCheck(needToEdit)
+            }
+        }
+        createWidget(widget.WIDGET_PICKER, {
+            title: getText('Number of times'),
+            subtitle: '',
+            nb_of_columns: 1,
+            single_wide: true,
+            init_col_index: 0,
+            data_config: [
+                {
+                    data_array: counts,
+                    init_val_index: counts.indexOf(count),
+                    unit: getText('times'),
+                    support_loop: true,
+                    font_size: DATE_TIME_PEACKER.font_size,
+                    select_font_size: DATE_TIME_PEACKER.select_font_size,
+                    connector_font_size: DATE_TIME_PEACKER.connector_font_size,
+                    unit_font_size: DATE_TIME_PEACKER.font_size,
+                    col_width: DATE_TIME_PEACKER.col_width * 2
+                }
+            ],
+            picker_cb
+        })
+    }
+})
@@ -0,0 +1,74 @@
+import { createWidget, widget, align } from '@zos/ui'
+import { onGesture, GESTURE_RIGHT } from '@zos/interaction'
+import { getText } from '@zos/i18n'
+import { push } from '@zos/router'
+import {log} from '@zos/utils'
+import { styleColors } from '../../../utils/Constants'
+import { editEventWithConflictCheck } from '../../../utils/ConflictDialog'
+
+const logger = log.getLogger('page/event/edit/repeat_end.js')
+
+Page({
+    registerGes(params){
+        onGesture({
+            callback: (event) => {
+            if (event === GESTURE_RIGHT) {
+                logger.log('Edit repeat end canceled push to edit menu')
+                push({
+                    url: 'page/event/edit/menu',
+                    params: params
+                })
+            }
+            return true
+            },
+        })
+    },
+
+    onInit(params){
+        logger.log('Init edit repeat end page with params: ' + params)
+        this.registerGes(params)
+        let needToEdit = JSON.parse(params)
+        createWidget(widget.TEXT, {
+            text: getText('Repeat ends'),
+            w: 300,
+            h: 50,
+            x: (480-300)/2,
+            y: 80,
+            align_v: align.CENTER_V,
+            align_h: align.CENTER_H,
+            text_size: 35,
+            color: styleColors.white_smoke
+        })
+        const ends = [
+            { text: 'Never', url: null },
+            { text: 'On date', url: 'page/event/edit/repeat_until' },
+            { text: 'After N times', url: 'page/event/edit/repeat_count' },
+        ]
+        ends.forEach((end, index) => {
+            createWidget(widget.BUTTON, {
+                x: 40,
+                y: 160 + 90 * index,
+                w: 400,
+                h: 80,
+                radius: 40,
+                normal_color: index == 0 ? styleColors.dark_green : styleColors.dark_gray,
+                press_color: styleColors.blue_violet,
+                text: getText(end.text),
+                text_size: 32,
+                click_func: () => {
+                    if (end.url) {
+                        push({
+                            url: end.url,
+                            params: JSON.stringify(needToEdit)
+                        })
+                        return
+                    }
+                    needToEdit.repeat_until = undefined
+                    needToEdit.repeat_count = undefined
+                    logger.log('Edit repeat end done, repeat is endless')
+                    editEventWithConflictCheck(needToEdit)
+                }
+            })
+        })
+    }
+})
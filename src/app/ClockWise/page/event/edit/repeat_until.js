@@ -0,0 +1,114 @@
+import { push } from '@zos/router'
+import { widget, createWidget } from '@zos/ui'
+import { onGesture, GESTURE_RIGHT, showToast } from '@zos/interaction'
+import { getText } from '@zos/i18n'
+import {log} from '@zos/utils'
+import { DATE_TIME_PEACKER } from '../../../utils/Constants'
+import { editEventWithConflictCheck } from '../../../utils/ConflictDialog'
+import { EventService } from '../../../utils/services/EventService'
+
+const logger = log.getLogger('page/event/edit/repeat_until.js')
+
+Page({
+    registerGes(params){
+        onGesture({
+            callback: (event) => {
+            if (event === GESTURE_RIGHT) {
+                logger.log('Edit repeat until canceled push to edit menu')
+                push({
+                    url: 'page/event/edit/menu',
+                    params: params
+                })
+            }
+            return true
+            },
+        })
+    },
+
+    onInit(params) {
+        logger.log('Init edit repeat until with params: ' + params)
+        this.registerGes(params)
+        let needToEdit = JSON.parse(params)
+        const start = new Date(needToEdit.start)
+        const until = needToEdit.repeat_until ? new Date(needToEdit.repeat_until) : start
+        let currentValues = {
+            day: until.getDate(),
+            month: until.getMonth(),
+            year: Math.min(Math.max(until.getFullYear(), start.getFullYear()), start.getFullYear() + 4)
+        }
+        const dataArrays = {
+            day: new Array(31).fill(0).map((d, index) => index + 1),
+            month: new Array(12).fill(0).map((d, index) => index + 1),
+            year: new Array(5).fill(0).map((d, index) => index + start.getFullYear())
+        }
+        const picker_cb = (picker, event_type, column_index, select_index) => {
+            if (event_type === 1) {
+                switch(column_index) {
+                    case 0:
+                        currentValues.day = dataArrays.day[select_index]
+                        break
+                    case 1:
+                        currentValues.month = dataArrays.month[select_index] - 1
+                        break
+                    case 2:
+                        currentValues.year = dataArrays.year[select_index]
+                        break
+                }
+            }
+            if (event_type == 2) {
+                const newUntil = EventService.getEndOfDay(currentValues.year, currentValues.month, currentValues.day)
+                if (newUntil < start) {
+                    showToast({ content: getText('Repeat must end after start') })
+                    return
+                }
+                needToEdit.repeat_until = newUntil.toISOString()
+                needToEdit.repeat_count = undefined
+                logger.log('Edit repeat until done, new date: ' + needToEdit.repeat_until)
+                editEventWithConflictCheck(needToEdit)
+            }
+        }
+        createWidget(widget.WIDGET_PICKER, {
+            title: getText('Repeat until'),
+            subtitle: '',
+            nb_of_columns: 3,
+            single_wide: true,
+            init_col_index: 0,
+            data_config: [
+                {
+                    data_array: dataArrays.day,
+                    init_val_index: currentValues.day - 1,
+                    unit: 'D',
+                    support_loop: true,
+                    font_size: DATE_TIME_PEACKER.font_size,
+                    select_font_size: DATE_TIME_PEACKER.select_font_size,
+                    connector_font_size: DATE_TIME_PEACKER.connector_font_size,
+                    unit_font_size: DATE_TIME_PEACKER.unit_font_size,
+                    col_width: DATE_TIME_PEACKER.col_width
+                },
+                {
+                    data_array: dataArrays.month,
+                    init_val_index: currentValues.month,
+                    unit: 'M',
+                    support_loop: true,
+                    font_size: DATE_TIME_PEACKER.font_size,
+                    select_font_size: DATE_TIME_PEACKER.select_font_size,
+                    connector_font_size: DATE_TIME_PEACKER.connector_font_size,
+                    unit_font_size: DATE_TIME_PEACKER.unit_font_size,
+                    col_width: DATE_TIME_PEACKER.col_width
+                },
+                {
+                    data_array: dataArrays.year,
+                    init_val_index: dataArrays.year.indexOf(currentValues.year),
+                    unit: 'Y',
+                    support_loop: true,
+                    font_size: DATE_TIME_PEACKER.font_size,
+                    select_font_size: DATE_TIME_PEACKER.select_font_size,
+                    connector_font_size: DATE_TIME_PEACKER.connector_font_size,
+                    unit_font_size: DATE_TIME_PEACKER.unit_font_size,
+                    col_width: DATE_TIME_PEACKER.col_width * 2
+                }
+            ],
+            picker_cb
+        })
+    }
+})
@@ -3,7 +3,7 @@ import { widget, createWidget } from '@zos/ui'
 import { getText } from '@zos/i18n'
 import {log} from '@zos/utils'
 import { onGesture, GESTURE_RIGHT } from '@zos/interaction'
-import {eventServise } from '../../../utils/Globals'
+import { editEventWithConflictCheck } from '../../../utils/ConflictDialog'
 import { DATE_TIME_PEACKER } from '../../../utils/Constants'
 
 const logger = log.getLogger('page/event/edit/start_date.js')
@@ -29,6 +29,7 @@ Page({
         logger.log('Init edit start of event with params: ' + params)
         this.registerGes()
         let needToEdit = JSON.parse(params)
+        const allDay = needToEdit.all_day
         const start = new Date(needToEdit.start)
         let currentValues = {
             day: start.getDate(),
@@ -70,20 +71,17 @@ Page({
                 startDate.setDate(currentValues.day)
                 startDate.setHours(currentValues.hour)
                 startDate.setMinutes(currentValues.minute)
+                if (allDay) startDate.setHours(0, 0, 0, 0)
                 needToEdit.start = startDate
-                eventServise.editEvent(needToEdit)
                 logger.log('Edit start date done, new start: ' +  needToEdit.start)
-                push({
-                    url: 'page/event',
-                    params: JSON.stringify(needToEdit),
-                })
+                editEventWithConflictCheck(needToEdit)
             }
         }
 
         const picker_widget = createWidget(widget.WIDGET_PICKER, {
             title: getText('Start event'),
             subtitle: '',
-            nb_of_columns: 5,
+            nb_of_columns: allDay ? 3 : 5,
             single_wide: true,
             init_col_index: 1,
             data_config: [
@@ -142,7 +140,7 @@ Page({
                     unit_font_size: DATE_TIME_PEACKER.unit_font_size,
                     col_width: DATE_TIME_PEACKER.col_width
                 }
-            ],
+            ].slice(0, allDay ? 3 : 5),
             picker_cb
         })
     }
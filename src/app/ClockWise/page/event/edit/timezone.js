@@ -0,0 +1,107 @@
+import { createWidget, widget, prop, align } from '@zos/ui'
+import { onGesture, GESTURE_RIGHT } from '@zos/interaction'
+import { getText } from '@zos/i18n'
+import { push } from '@zos/router'
+import {log} from '@zos/utils'
+import { styleColors } from '../../../utils/Constants'
+import { editEventWithConflictCheck } from '../../../utils/ConflictDialog'
+import { EventService } from '../../../utils/services/EventService'
+
+const logger = log.getLogger('page/event/edit/timezone.js')
+
+/**
+ * Choice between floating event, which keeps local time of the watch,
+ * and anchored event, which keeps time of the zone it was created in.
+ */
+Page({
+    modes: ['Local time', 'Original zone'],
+
+    registerGes(params){
+        onGesture({
+            callback: (event) => {
+            if (event === GESTURE_RIGHT) {
+                logger.log('Time zone peacker canceled push to edit menu')
+                push({
+                    url: 'page/event/edit/menu',
+                    params: params
+                })
+            }
+            return true
+            },
+        })
+    },
+
+    utcOffsetLabel(offset){
+        const hours = String(Math.floor(Math.abs(offset) / 60)).padStart(2, '0')
+        const minutes = String(Math.abs(offset) % 60).padStart(2, '0')
+        return 'UTC' + (offset < 0 ? '-' : '+') + hours + ':' + minutes
+    },
+
+    onInit(params){
+        logger.log('Init edit time zone page with params: ' + params)
+        this.registerGes(params)
+        let needToEdit = JSON.parse(params)
+        let anchored = !!needToEdit.anchored
+        const timezone = needToEdit.timezone !== undefined ? needToEdit.timezone : EventService.getUtcOffset(needToEdit.start)
+        createWidget(widget.TEXT, {
+            text: getText('Time zone') + ': ' + this.utcOffsetLabel(timezone),
+            w: 400,
+            h: 50,
+            x: (480-400)/2,
+            y: 60,
+            align_v: align.CENTER_V,
+            align_h: align.CENTER_H,
+            text_size: 32,
+            color: styleColors.white_smoke
+        })
+        const radioGroup = createWidget(widget.RADIO_GROUP, {
+            x: 0,
+            y: 0,
+            w: 480,
+            h: 480,
+            select_src: 'radio_selected.png',
+            unselect_src: 'radio_unselected.png',
+            check_func: (group, index, checked) => {
+                if (checked) anchored = index == 1
+            }
+        })
+        const modeButtons = this.modes.map((text, index) => {
+            createWidget(widget.TEXT, {
+                text: getText(text),
+                w: 280,
+                h: 64,
+                x: 70,
+                y: 140 + 100 * index,
+                align_v: align.CENTER_V,
+                align_h: align.LEFT,
+                text_size: 32,
+                color: styleColors.white_smoke
+            })
+            return radioGroup.createWidget(widget.STATE_BUTTON, {
+                x: 380,
+                y: 140 + 100 * index,
+                w: 64,
+                h: 64
+            })
+        })
+        radioGroup.setProperty(prop.INIT, modeButtons[anchored ? 1 : 0])
+
+        createWidget(widget.BUTTON, {
+            x: 40,
+            y: 350,
+            w: 400,
+            h: 60,
+            radius: 30,
+            normal_color: styleColors.dark_green,
+            press_color: styleColors.blue_violet,
+            text: getText('Save changes'),
+            text_size: 32,
+            click_func: () => {
+                needToEdit.anchored = anchored
+                if (anchored && needToEdit.timezone === undefined) needToEdit.timezone = timezone
+                logger.log('Edit time zone done, anchored: ' + needToEdit.anchored)
+                editEventWithConflictCheck(needToEdit)
+            }
+        })
+    }
+})
@@ -0,0 +1,105 @@
+import { createWidget, widget, prop, align } from '@zos/ui'
+import { onGesture, GESTURE_RIGHT, showToast } from '@zos/interaction'
+import { getText } from '@zos/i18n'
+import { push } from '@zos/router'
+import {log} from '@zos/utils'
+import { styleColors, WEEK_DAYS, WEEK_DAYS_ORDER } from '../../../utils/Constants'
+
+const logger = log.getLogger('page/event/edit/week_days.js')
+
+Page({
+    registerGes(params){
+        onGesture({
+            callback: (event) => {
+            if (event === GESTURE_RIGHT) {
+                logger.log('Week days peacker canceled push to edit menu')
+                push({
+                    url: 'page/event/edit/menu',
+                    params: params
+                })
+            }
+            return true
+            },
+        })
+    },
+
+    onInit(params){
+        logger.log('Init edit week days page with params: ' + params)
+        this.registerGes(params)
+        let needToEdit = JSON.parse(params)
+        let selectedDays = Array.isArray(needToEdit.repeat_days) && needToEdit.repeat_days.length > 0 ?
+            [...needToEdit.repeat_days] : [new Date(needToEdit.start).getDay()]
+        createWidget(widget.TEXT, {
+            text: getText('Repeat on:'),
+            w: 300,
+            h: 50,
+            x: (480-300)/2,
+            y: 50,
+            align_v: align.CENTER_V,
+            align_h: align.CENTER_H,
+            text_size: 35,
+            color: styleColors.white_smoke
+        })
+        const checkboxGroup = createWidget(widget.CHECKBOX_GROUP, {
+            x: 0,
+            y: 0,
+            w: 480,
+            h: 480,
+            select_src: 'radio_selected.png',
+            unselect_src: 'radio_unselected.png',
+            check_func: (group, index, checked) => {
+                const day = WEEK_DAYS_ORDER[index]
+                selectedDays = selectedDays.filter((item) => item != day)
+                if (checked) selectedDays.push(day)
+            }
+        })
+        const dayButtons = WEEK_DAYS_ORDER.map((day, index) => {
+            createWidget(widget.TEXT, {
+                text: getText(WEEK_DAYS[day]),
+                w: 250,
+                h: 64,
+                x: 70,
+                y: 120 + 80 * index,
+                align_v: align.CENTER_V,
+                align_h: align.LEFT,
+                text_size: 32,
+                color: styleColors.white_smoke
+            })
+            return checkboxGroup.createWidget(widget.STATE_BUTTON, {
+                x: 380,
+                y: 120 + 80 * index,
+                w: 64,
+                h: 64
+            })
+        })
+        const initDays = [...selectedDays]
+        checkboxGroup.setProperty(prop.INIT, dayButtons[WEEK_DAYS_ORDER.indexOf(initDays[0])])
+        initDays.slice(1).forEach((day) => {
+            checkboxGroup.setProperty(prop.CHECKED, dayButtons[WEEK_DAYS_ORDER.indexOf(day)])
+        })
+
+        createWidget(widget.BUTTON, {
+            x: 40,
+            y: 120 + 80 * WEEK_DAYS_ORDER.length + 20,
+            w: 400,
+            h: 60,
+            radius: 30,
+            normal_color: styleColors.dark_green,
+            press_color: styleColors.blue_violet,
+            text: getText('Next'),
+            text_size: 32,
+            click_func: () => {
+                if (selectedDays.length == 0) {
+                    showToast({ content: getText('Select at least one day') })
+                    return
+                }
+                needToEdit.repeat_days = selectedDays.sort()
+                logger.log('Edit week days done: ' + JSON.stringify(needToEdit.repeat_days))
+                push({
+                    url: 'page/event/edit/interval',
+                    params: JSON.stringify(needToEdit)
+                })
+            }
+        })
+    }
+})
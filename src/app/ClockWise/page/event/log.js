@@ -0,0 +1,56 @@
+import { createWidget, widget, align } from '@zos/ui'
+import { getText } from '@zos/i18n'
+import { push } from '@zos/router'
+import {log} from '@zos/utils'
+import { LOG_DURATIONS_MIN, MINUTE_MS, styleColors } from '../../utils/Constants'
+import { TrackingService } from '../../utils/services/TrackingService'
+
+const logger = log.getLogger('page/event/log.js')
+
+/**
+ * Logs time which was just spent on event, chosen interval ends now
+ * 
+ * Params: event
+ */
+Page({
+    durationText(minutes){
+        return minutes < 60 ? minutes + ' ' + getText('m') : minutes / 60 + ' ' + getText('h')
+    },
+
+    onInit(params){
+        logger.log('Init log page with params: ' + params)
+        const event = JSON.parse(params)
+        createWidget(widget.TEXT, {
+            text: getText('I just did'),
+            w: 360,
+            h: 50,
+            x: (480-360)/2,
+            y: 50,
+            align_v: align.CENTER_V,
+            align_h: align.CENTER_H,
+            text_size: 35,
+            color: styleColors.white_smoke
+        })
+        LOG_DURATIONS_MIN.forEach((minutes, index) => {
+            createWidget(widget.BUTTON, {
+                x: 40,
+                y: 120 + 85 * index,
+                w: 400,
+                h: 70,
+                radius: 35,
+                normal_color: styleColors.dark_blue,
+                press_color: styleColors.blue_violet,
+                text: getText('Last') + ' ' + this.durationText(minutes),
+                text_size: 32,
+                click_func: () => {
+                    const interval = TrackingService.log(event, minutes * MINUTE_MS)
+                    logger.log('Logged interval: ' + JSON.stringify(interval))
+                    push({
+                        url: 'page/event',
+                        params: JSON.stringify(event)
+                    })
+                }
+            })
+        })
+    }
+})
@@ -0,0 +1,137 @@
+import { createWidget, widget, align, text_style } from '@zos/ui'
+import { onGesture, GESTURE_RIGHT } from '@zos/interaction'
+import { getText } from '@zos/i18n'
+import { push } from '@zos/router'
+import {log} from '@zos/utils'
+import { styleColors } from '../../utils/Constants'
+import { eventServise } from '../../utils/Globals'
+import { showUndoToast } from '../../utils/UndoToast'
+
+const logger = log.getLogger('page/event/scope.js')
+
+/**
+ * Choice between a single occurrence, the occurrence with all following ones
+ * and the whole series of repeating event. Following ones can be only edited.
+ *
+ * Page params: {action: 'edit'|'delete', event: occurrence of repeating event}
+ */
+Page({
+    registerGes(){
+        onGesture({
+            callback: (event) => {
+            if (event === GESTURE_RIGHT) {
+                push({
+                    url: 'page/index',
+                })
+            }
+            return true
+            },
+        })
+    },
+
+    initBg(){
+        this.circle = createWidget(widget.CIRCLE, {
+        center_x: 240,
+        center_y: 240,
+        radius: 227,
+        color: styleColors.white_smoke,
+        })
+        this.circle = createWidget(widget.CIRCLE, {
+        center_x: 240,
+        center_y: 240,
+        radius: 225,
+        color: styleColors.black,
+        })
+    },
+
+    initTitle(action){
+        createWidget(widget.TEXT, {
+            text: getText(action == 'delete' ? 'Delete repeating event' : 'Edit repeating event'),
+            w: 400,
+            h: 80,
+            x: (480-400)/2,
+            y: 60,
+            align_h: align.CENTER_H,
+            align_v: align.CENTER_V,
+            text_style: text_style.WRAP,
+            text_size: 32,
+            color: styleColors.yellow
+        })
+    },
+
+    occurrenceSelected(action, event){
+        if (action == 'delete') {
+            const trashId = eventServise.deleteEvent(event.id, event.occurrence)
+            logger.log('Delete occurrence: ' + event.occurrence)
+            this.showDeletedToast(event, trashId)
+        } else {
+            push({
+                url: 'page/event/edit/menu',
+                params: JSON.stringify({ ...event, edit_scope: 'occurrence' })
+            })
+        }
+    },
+
+    showDeletedToast(event, trashId){
+        const toList = () => push({
+            url: 'page/list',
+            params: JSON.stringify(event.start)
+        })
+        showUndoToast(getText('Event deleted'), () => {
+            eventServise.restoreFromTrash([trashId])
+            toList()
+        }, toList)
+    },
+
+    followingSelected(event){
+        push({
+            url: 'page/event/edit/menu',
+            params: JSON.stringify({ ...event, repeat: event.check_repeat, edit_scope: 'following' })
+        })
+    },
+
+    seriesSelected(action, event){
+        if (action == 'delete') {
+            const trashId = eventServise.deleteEvent(event.id)
+            logger.log('Delete series: ' + event.id)
+            this.showDeletedToast(event, trashId)
+        } else {
+            const series = eventServise.getEventById(event.id)
+            push({
+                url: 'page/event/edit/menu',
+                params: JSON.stringify({ ...series, check_repeat: series.repeat, edit_scope: 'series' })
+            })
+        }
+    },
+
+    onInit(params){
+        logger.log('Init scope page with params: ' + params)
+        const { action, event } = JSON.parse(params)
+        this.registerGes()
+        this.initBg()
+        this.initTitle(action)
+        const buttons = [
+            { text: 'This occurrence', color: styleColors.dark_gray, click: () => this.occurrenceSelected(action, event) },
+            { text: 'Entire series', color: action == 'delete' ? styleColors.dark_red : styleColors.dark_green, click: () => this.seriesSelected(action, event) },
+        ]
+        if (action == 'edit') {
+            buttons.splice(1, 0, { text: 'This and following', color: styleColors.dark_gray, click: () => this.followingSelected(event) })
+        }
+        const top = buttons.length > 2 ? 150 : 170
+        const step = buttons.length > 2 ? 90 : 100
+        buttons.forEach((button, index) => {
+            createWidget(widget.BUTTON, {
+                x: 40,
+                y: top + step * index,
+                w: 400,
+                h: 80,
+                radius: 40,
+                normal_color: button.color,
+                press_color: styleColors.blue_violet,
+                text: getText(button.text),
+                text_size: 32,
+                click_func: button.click
+            })
+        })
+    }
+})
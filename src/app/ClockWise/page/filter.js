@@ -0,0 +1,123 @@
+import { createWidget, widget, align, prop } from '@zos/ui'
+import { push } from '@zos/router'
+import { getText } from '@zos/i18n'
+import {log} from '@zos/utils'
+import { COLORS, styleColors } from '../utils/Constants'
+import { SettingsService } from '../utils/services/SettingsService'
+import { CategoryService } from '../utils/services/CategoryService'
+
+const logger = log.getLogger('page/filter.js')
+
+/**
+ * Filter of the list of events: shown categories and colors, every change is saved at once
+ */
+Page({
+    initBg(){
+        this.circle = createWidget(widget.CIRCLE, {
+        center_x: 240,
+        center_y: 240,
+        radius: 227,
+        color: styleColors.white_smoke,
+        })
+        this.circle = createWidget(widget.CIRCLE, {
+        center_x: 240,
+        center_y: 240,
+        radius: 225,
+        color: styleColors.black,
+        })
+    },
+
+    initTitle(){
+        createWidget(widget.TEXT, {
+            text: getText('Filter'),
+            x: 0,
+            y: 50,
+            w: 480,
+            h: 50,
+            text_size: 35,
+            align_h: align.CENTER_H,
+            align_v: align.CENTER_V,
+            color: styleColors.white
+        })
+    },
+
+    checkImg(checked){
+        return checked ? 'radio_selected.png' : 'radio_unselected.png'
+    },
+
+    addKeys(filter, categories){
+        let result = [
+            { label: getText('Show all') },
+            { label: getText('On the dial'), check: this.checkImg(filter.dial) },
+        ]
+        for (const category of categories) {
+            result.push({ label: category.getLabel(), check: this.checkImg(filter.categories.includes(category.id)) })
+        }
+        for (const color of COLORS) {
+            result.push({ label: '', check: this.checkImg(filter.colors.includes(color)) })
+        }
+        return result
+    },
+
+    itemConfig(type_id, bgColor){
+        return {
+            type_id: type_id,
+            item_bg_color: bgColor,
+            item_bg_radius: 35,
+            text_view: [
+                { x: 20, y: 0, w: 270, h: 70, key: 'label', color: styleColors.white_smoke, text_size: 32, align_h: align.LEFT },
+            ],
+            text_view_count: 1,
+            image_view: [{ x: 300, y: 3, w: 64, h: 64, key: 'check', action: true }],
+            image_view_count: 1,
+            item_height: 70
+        }
+    },
+
+    onInit(){
+        this.initBg()
+        this.initTitle()
+        const settings = SettingsService.loadSettings()
+        const filter = settings.filter
+        const categories = CategoryService.getAll()
+        const backgrounds = [styleColors.dark_red, styleColors.dark_gray, ...categories.map((category) => category.color), ...COLORS]
+        let listItems = this.addKeys(filter, categories)
+        const dataTypeConfig = listItems.map((item, index) => ({ start: index, end: index, type_id: index }))
+        const toggle = (list, value) => list.includes(value) ? list.filter((item) => item !== value) : [...list, value]
+        const scrollList = createWidget(widget.SCROLL_LIST, {
+            x: (480-380)/2,
+            y: 110,
+            h: 370,
+            w: 380,
+            radius: 10,
+            item_space: 20,
+            snap_to_center: true,
+            item_config: backgrounds.map((bgColor, index) => this.itemConfig(index, bgColor)),
+            item_config_count: backgrounds.length,
+            data_array: listItems,
+            data_count: listItems.length,
+            item_focus_change_func: (list, index, focus) => {},
+            item_click_func: (item, index, data_key) => {
+                if (index == 0) {
+                    filter.categories = []
+                    filter.colors = []
+                }
+                else if (index == 1) filter.dial = !filter.dial
+                else if (index < 2 + categories.length) filter.categories = toggle(filter.categories, categories[index-2].id)
+                else filter.colors = toggle(filter.colors, COLORS[index-2-categories.length])
+                SettingsService.saveSettings(settings)
+                logger.log('Filter saved: ' + JSON.stringify(filter))
+                listItems = this.addKeys(filter, categories)
+                scrollList.setProperty(prop.UPDATE_DATA, {
+                    data_type_config: dataTypeConfig,
+                    data_type_config_count: dataTypeConfig.length,
+                    data_array: listItems,
+                    data_count: listItems.length,
+                    on_page: 1
+                })
+            },
+            data_type_config: dataTypeConfig,
+            data_type_config_count: dataTypeConfig.length
+        })
+    }
+})
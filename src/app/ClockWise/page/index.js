@@ -6,10 +6,12 @@ import { getText } from '@zos/i18n'
 import { Time } from '@zos/sensor'
 import {log} from '@zos/utils'
 import { eventServise, wfNumbers} from '../utils/Globals';
-import { HOUR_MS, WEEK_DAYS_SHORT } from '../utils/Constants';
+import { ACTUAL_RING, ALL_DAY_RING, EVENT_SECTORS, HOUR_MS, PRIORITIES, PRIORITY_OUTLINE, SKIPPED_STRIKE_WIDTH, WEEK_DAYS_SHORT } from '../utils/Constants';
 import { Event } from '../utils/models/Event';
 import { styleColors } from '../utils/Constants'
 import { EventService } from '../utils/services/EventService'
+import { TaskService } from '../utils/services/TaskService'
+import { TrackingService } from '../utils/services/TrackingService'
 
 import { BasePage } from '@zeppos/zml/base-page'
 
@@ -19,12 +21,14 @@ Page(
   BasePage({
     widgets:{
       canvas: null,
+      actualCanvas: null,
       background: null,
       hourArrow: null,
       destroyArrow: null,
       minuteArrow: null,
       digitTime: null,
       date: null,
+      tasksCount: null,
       wfNumbers:{
         _0: null,
         _1: null,
@@ -150,6 +154,40 @@ Page(
       })
     },
 
+    initActualCanvas(){
+      // Really spent time is drawn on separate small canvas over central background,
+      // so it doesn't cover planned sectors and their clicks
+      this.widgets.actualCanvas = createWidget(widget.CANVAS, {
+        x: 240 - ACTUAL_RING.radius,
+        y: 240 - ACTUAL_RING.radius,
+        w: ACTUAL_RING.radius * 2,
+        h: ACTUAL_RING.radius * 2,
+      })
+    },
+
+    renderActualIntervals(){
+      // Only past part of the dial (last 2 hours) can show intervals which really took place
+      const now = Date.now()
+      const from = now - HOUR_MS * 2
+      const center = ACTUAL_RING.radius
+      const drawSector = (radius, startAngle, endAngle, color) => this.widgets.actualCanvas.drawArc({
+        center_x: center,
+        center_y: center,
+        radius_x: radius,
+        radius_y: radius,
+        start_angle: startAngle-90,
+        end_angle: endAngle-90,
+        color: color
+      })
+      for (const interval of TrackingService.getIntervals(from, now)) {
+        let startAngle = EventService.convertTimeToAngle(Math.max(interval.start, from))
+        const endAngle = EventService.convertTimeToAngle(Math.min(interval.end, now))
+        startAngle = startAngle > endAngle ? (startAngle - 360) : startAngle
+        drawSector(ACTUAL_RING.radius, startAngle, endAngle, interval.color)
+        drawSector(ACTUAL_RING.inner_radius, startAngle, endAngle, styleColors.black)
+      }
+    },
+
     initDigitalTime(){
       const timeSensor = new Time()
       this.widgets.digitTime = createWidget(widget.TEXT, {
@@ -206,6 +244,31 @@ Page(
       })
     },
 
+    tasksCountText(){
+      const count = TaskService.getTodayOpenCount()
+      return count > 0 ? '☑ ' + count : ''
+    },
+
+    initTasksCount(){
+      // Open tasks for today are shown under the week day, tap opens the list of tasks
+      this.widgets.tasksCount = createWidget(widget.TEXT, {
+        x: (480-120)/2,
+        y: 300,
+        w: 120,
+        h: 40,
+        color: styleColors.white_smoke,
+        text_size: 28,
+        align_h: align.CENTER_H,
+        align_v: align.CENTER_V,
+        text: this.tasksCountText()
+      })
+      this.widgets.tasksCount.addEventListener(event.CLICK_UP, function cb() {
+        push({
+          url: 'page/tasks/list',
+        })
+      })
+    },
+
     initCanvas(){
       this.widgets.canvas = createWidget(widget.CANVAS, {
         x: 0,
@@ -215,13 +278,15 @@ Page(
         alpha: 100 
       })
       this.widgets.canvas.addEventListener(event.CLICK_UP, function cb(info) {
-        for (const event of eventServise.getActualEvents()){
-          if (EventService.isThisEvent(info.x, info.y, event)){
-            push({
-              url: 'page/event',
-              params: JSON.stringify(event),
-            })
-          }
+        const actualEvents = eventServise.getActualEvents()
+        // All-day ring lies over sectors, so it is checked first
+        const found = actualEvents.find((item) => item.all_day && EventService.isThisEvent(info.x, info.y, item)) ||
+          actualEvents.find((item) => !item.all_day && EventService.isThisEvent(info.x, info.y, item))
+        if (found) {
+          push({
+            url: 'page/event',
+            params: JSON.stringify(found),
+          })
         }
       })
     },
@@ -253,24 +318,60 @@ Page(
           h: 480
         })
         this.renderEvents(eventServise.getActualEvents())
+        this.widgets.actualCanvas.clear({
+          x: 0,
+          y: 0,
+          w: ACTUAL_RING.radius * 2,
+          h: ACTUAL_RING.radius * 2
+        })
+        this.renderActualIntervals()
+        this.widgets.tasksCount.setProperty(prop.TEXT, this.tasksCountText())
         logger.log('main page updated')
     },
 
-    drawEvent(event){
-      const ev = new Event(event)
+    drawSector(radius, startAngle, endAngle, color){
       this.widgets.canvas.drawArc({
         center_x: 240,
         center_y: 240,
-        radius_x: 235,
-        radius_y: 235,
-        start_angle: event.startAngle-90,
-        end_angle: event.endAngle-90,
-        color: event.color
+        radius_x: radius,
+        radius_y: radius,
+        start_angle: startAngle-90,
+        end_angle: endAngle-90,
+        color: color
       })
     },
 
+    drawEvent(event){
+      // All-day event is a segment of thin ring, the rest of it is hidden under central background
+      // Skipped event is grey and struck through
+      const skipped = event.completion === 'skipped'
+      const color = skipped ? styleColors.gray : event.color
+      if (event.all_day) return this.drawSector(ALL_DAY_RING.radius, event.startAngle, event.endAngle, color)
+      const { inner, outer } = EventService.getLaneRadii(event)
+      if (event.priority === 'high') {
+        // High priority event is outlined: white edge is left around the sector
+        this.drawSector(outer, event.startAngle, event.endAngle, styleColors.white)
+        this.drawSector(outer - PRIORITY_OUTLINE.width, event.startAngle + PRIORITY_OUTLINE.angle, event.endAngle - PRIORITY_OUTLINE.angle, color)
+      }
+      else this.drawSector(outer, event.startAngle, event.endAngle, color)
+      if (skipped) {
+        // Strike is a thin black ring in the middle of the lane
+        const middle = (inner + outer) / 2
+        this.drawSector(middle + SKIPPED_STRIKE_WIDTH / 2, event.startAngle, event.endAngle, styleColors.black)
+        this.drawSector(middle - SKIPPED_STRIKE_WIDTH / 2, event.startAngle, event.endAngle, color)
+      }
+      // Overlapping events take concentric lanes, inner part of the sector is cleared for them
+      if (inner > EVENT_SECTORS.inner_radius) this.drawSector(inner, event.startAngle, event.endAngle, styleColors.black)
+    },
+
     renderEvents(events){
-      for (const event of events) {
+      // Events of higher priority are drawn later, so they stay on top when lanes are overfilled
+      const rank = (event) => PRIORITIES.indexOf(event.priority ?? 'normal')
+      const timed = events.filter((item) => !item.all_day).sort((a, b) => a.lane - b.lane || rank(a) - rank(b))
+      for (const event of timed) {
+        this.drawEvent(event);
+      }
+      for (const event of events.filter((item) => item.all_day)) {
         this.drawEvent(event);
       }
     },
@@ -283,7 +384,10 @@ Page(
       this.initCanvas()
       this.renderEvents(eventServise.getActualEvents())
       this.iniitCentralBackground()
+      this.initActualCanvas()
+      this.renderActualIntervals()
       this.initDigitalTime()
+      this.initTasksCount()
     },
   })
 )
@@ -3,11 +3,14 @@ import { createModal, MODAL_CONFIRM } from '@zos/interaction'
 import { eventServise } from '../utils/Globals';
 import { push } from '@zos/router'
 import { getText } from '@zos/i18n'
-import { HOUR_MS, styleColors } from '../utils/Constants';
+import { HOUR_MS, PRIORITY_MARKERS, styleColors, WEEK_DAYS_ORDER, WEEK_DAYS_SHORT, WEEKDAY_OF_MONTH, WORK_DAYS } from '../utils/Constants';
 import {log} from '@zos/utils'
 import { Event } from '../utils/models/Event';
 import { onGesture, GESTURE_RIGHT } from '@zos/interaction'
 import { EventService } from '../utils/services/EventService';
+import { showUndoToast } from '../utils/UndoToast';
+import { CategoryService } from '../utils/services/CategoryService';
+import { SettingsService } from '../utils/services/SettingsService';
 
 
 const logger = log.getLogger('page/list.js')
@@ -42,18 +45,32 @@ Page({
     })
   },
 
-  initTitle(date){
-    const titleText = getText('List of events')
-    createWidget(widget.TEXT, {
+  filterLabel(filter){
+    const categories = CategoryService.getAll().filter((category) => filter.categories.includes(category.id))
+    let parts = categories.map((category) => category.icon || category.name)
+    if (filter.colors.length > 0) parts.push(filter.colors.length + ' ' + getText('colors'))
+    return '🔍 ' + parts.join(', ')
+  },
+
+  initTitle(date, filter){
+    // Title opens filter page, active filter is shown instead of the title
+    const titleText = EventService.isFilterActive(filter) ? this.filterLabel(filter) : getText('List of events')
+    createWidget(widget.BUTTON, {
       text: titleText,
-      x: 0,
+      x: 40,
       y: 50,
-      w: 480,
+      w: 400,
       h: 50,
+      radius: 25,
       text_size: 35,
-      align_h: align.CENTER_H,
-      align_v: align.CENTER_V,
-      color: styleColors.white
+      normal_color: styleColors.black,
+      press_color: styleColors.dark_gray,
+      color: styleColors.white,
+      click_func: () => {
+        push({
+          url: 'page/filter',
+        })
+      }
     })
     const period = EventService.getWeekRange(date)
     createWidget(widget.TEXT, {
@@ -79,23 +96,12 @@ Page({
           const eventCopy = { ...event };
           eventCopy.date_period = '🗓️ ' + eventCopy.date_period;
           eventCopy.period = '🕑 ' + eventCopy.period + ' ' + new Event(eventCopy).getDuration();
-          eventCopy.weekDay = new Event(eventCopy).getWeekDay();
+          eventCopy.weekDay = new Event(eventCopy).getWeekDay() + this.categoryLabel(eventCopy);
+          eventCopy.description = (PRIORITY_MARKERS[eventCopy.priority] ?? '') + eventCopy.description;
+          eventCopy.status = new Event(eventCopy).getCompletionLabel() || eventCopy.status;
           eventCopy.del_img = 'delete.png';
           eventCopy.edit_img = 'edit.png';
-          switch (eventCopy.check_repeat) {
-              case 'never':
-                  eventCopy.check_repeat = '';
-                  break;
-              case 'day':
-                  eventCopy.check_repeat = '🔄 ' + getText('Every day');
-                  break;
-              case 'week':
-                  eventCopy.check_repeat = '🔄 ' + getText('Every week');
-                  break;
-              case 'month':
-                  eventCopy.check_repeat = '🔄 ' + getText('Every month');
-                  break;
-          }
+          eventCopy.check_repeat = this.repeatLabel(eventCopy);
           result.push(eventCopy);
       }
       const next = {
@@ -107,6 +113,116 @@ Page({
   },
 
 
+  orderByDays(events, period){
+      // All-day events go first in every day they take, so several-day events are shown in each of them
+      const week = EventService.getWeekRange(period)
+      const dayStart = (date) => new Date(date).setHours(0, 0, 0, 0)
+      let entries = []
+      for (const event of events) {
+          if (!event.all_day) {
+              entries.push({ day: dayStart(event.start), event: event })
+              continue
+          }
+          const day = new Date(Math.max(dayStart(event.start), week.start.getTime()))
+          for (; day <= new Date(event.end) && day < week.end; day.setDate(day.getDate() + 1)) {
+              entries.push({ day: day.getTime(), event: event })
+          }
+      }
+      entries.sort((a, b) => a.day - b.day || (b.event.all_day ? 1 : 0) - (a.event.all_day ? 1 : 0) ||
+          new Date(a.event.start) - new Date(b.event.start))
+      return entries.map((entry) => entry.event)
+  },
+
+  itemType(event){
+      const now = new Date()
+      if (now > new Date(event.end)) return 1
+      if (new Date(event.start) > now) return 3
+      return 2
+  },
+
+  categoryLabel(event){
+      const category = CategoryService.getById(event.category)
+      return category ? ' · ' + category.getLabel() : ''
+  },
+
+  eventItemConfig(type_id, eventType){
+      const backgrounds = { 1: styleColors.dark_gray, 2: styleColors.dark_green, 3: styleColors.dark_blue }
+      return {
+        type_id: type_id,
+        item_bg_color: backgrounds[eventType.state],
+        item_bg_radius: 10,
+        text_view: [
+          { x: 0, y: 0, w: 380, h: 40, key: 'date_period', color: styleColors.white_smoke, text_size: 30, align_h: align.CENTER_H},
+          { x: 0, y: 50, w: 380, h: 40, key: 'period', color: styleColors.white_smoke, text_size: 30, align_h: align.CENTER_H},
+          { x: 0, y: 80, w: 380, h: 80, key: 'description', color: styleColors.white_smoke, text_size: 40, align_h: align.CENTER_H},
+          { x: 0, y: 150, w: 380, h: 40, key: 'weekDay', color: eventType.color, text_size: 30, align_h: align.CENTER_H},
+          { x: 0, y: 200, w: 380, h: 40, key: 'status', color: styleColors.white_smoke, text_size: 30, align_h: align.CENTER_H, action: true},
+          { x: 0, y: 250, w: 380, h: 40, key: 'check_repeat', color: styleColors.white_smoke, text_size: 30, align_h: align.CENTER_H},
+        ],
+        text_view_count: 6,
+        image_view: [
+          { x:410, y: 20, w: 64, h: 64, key: 'del_img', action: true },
+          { x:410, y: 150, w: 64, h: 64, key: 'edit_img', action: true }
+        ],
+        image_view_count: 2,
+        item_height: 300
+      }
+  },
+
+  eventTypeId(event){
+      // Every pair of state and color gets its own item type, because text color can't be set per item
+      const state = this.itemType(event)
+      const color = event.color ?? styleColors.white_smoke
+      let index = this.eventTypes.findIndex((eventType) => eventType.state == state && eventType.color == color)
+      if (index < 0) index = this.eventTypes.push({ state: state, color: color }) - 1
+      return index + 5
+  },
+
+  dataTypeConfig(events){
+      // Items of the same state go in runs, because events are ordered by days instead of state
+      let config = [{ start: 0, end: 0, type_id: 0 }]
+      this.eventTypes = []
+      events.forEach((event, index) => {
+          const type_id = this.eventTypeId(event)
+          const last = config[config.length - 1]
+          if (last.type_id == type_id) last.end = index + 1
+          else config.push({ start: index + 1, end: index + 1, type_id: type_id })
+      })
+      config.push({ start: events.length + 1, end: events.length + 1, type_id: 4 })
+      return config
+  },
+
+  repeatLabel(event){
+      const interval = EventService.getRepeatInterval(event)
+      switch (event.check_repeat) {
+          case 'day':
+              return '🔄 ' + (interval > 1 ? getText('Every') + ' ' + interval + ' ' + getText('days') : getText('Every day'));
+          case 'week':
+              return '🔄 ' + (interval > 1 ? getText('Every') + ' ' + interval + ' ' + getText('weeks') : getText('Every week'));
+          case 'month':
+              return '🔄 ' + (interval > 1 ? getText('Every') + ' ' + interval + ' ' + getText('months') : getText('Every month'));
+          case 'days':
+              return '🔄 ' + (interval > 1 ? getText('Every') + ' ' + interval + ' ' + getText('weeks') + ': ' : '') +
+                  this.repeatDaysLabel(event.repeat_days);
+          case 'month_weekday':
+              return '🔄 ' + (interval > 1 ? getText('Every') + ' ' + interval + ' ' + getText('months') : getText('Every month')) + ': ' +
+                  getText(WEEKDAY_OF_MONTH[EventService.getWeekdayOfMonth(event.start)]) + ' ' +
+                  getText(WEEK_DAYS_SHORT[new Date(event.start).getDay()]);
+          case 'year':
+              return '🔄 ' + (interval > 1 ? getText('Every') + ' ' + interval + ' ' + getText('years') : getText('Every year'));
+          default:
+              return '';
+      }
+  },
+
+  repeatDaysLabel(repeatDays){
+      if (repeatDays.length == WORK_DAYS.length && WORK_DAYS.every((day) => repeatDays.includes(day)))
+          return getText('Weekdays')
+      return WEEK_DAYS_ORDER.filter((day) => repeatDays.includes(day))
+          .map((day) => getText(WEEK_DAYS_SHORT[day]))
+          .join(', ')
+  },
+
   ifEmptyListOfEventsLabel(){
     createWidget(widget.TEXT, {
       text: getText('There are no events'),
@@ -131,10 +247,10 @@ Page({
       period = new Date()
     }
     this.initBg()
-    this.initTitle(period);
-    const listOfEvents = eventServise.getWeekListOfEvents(period)
-
-    const separatedByColorInd = EventService.separateListToPastCurrentFutureEvents(listOfEvents)
+    const { filter } = SettingsService.loadSettings()
+    this.initTitle(period, filter);
+    const listOfEvents = this.orderByDays(eventServise.getWeekListOfEvents(period, filter), period)
+    const dataTypeConfig = this.dataTypeConfig(listOfEvents)
     const weekEvents = this.addKeys(listOfEvents)
     logger.log('Init list of events: ' + JSON.stringify(weekEvents))
     if (weekEvents.length == 2) 
@@ -160,66 +276,7 @@ Page({
             image_view_count: 1,
             item_height: 0
           },
-          {
-            type_id: 1,
-            item_bg_color: styleColors.dark_gray,
-            item_bg_radius: 10,
-            text_view: [
-              { x: 0, y: 0, w: 380, h: 40, key: 'date_period', color: styleColors.white_smoke, text_size: 30, align_h: align.CENTER_H},
-              { x: 0, y: 50, w: 380, h: 40, key: 'period', color: styleColors.white_smoke, text_size: 30, align_h: align.CENTER_H},
-              { x: 0, y: 80, w: 380, h: 80, key: 'description', color: styleColors.white_smoke, text_size: 40, align_h: align.CENTER_H},
-              { x: 0, y: 150, w: 380, h: 40, key: 'weekDay', color: styleColors.white_smoke, text_size: 30, align_h: align.CENTER_H},
-              { x: 0, y: 200, w: 380, h: 40, key: 'status', color: styleColors.white_smoke, text_size: 30, align_h: align.CENTER_H},
-              { x: 0, y: 250, w: 380, h: 40, key: 'check_repeat', color: styleColors.white_smoke, text_size: 30, align_h: align.CENTER_H},
-            ],
-            text_view_count: 6,
-            image_view: [
-              { x:410, y: 20, w: 64, h: 64, key: 'del_img', action: true },
-              { x:410, y: 150, w: 64, h: 64, key: 'edit_img', action: true }
-            ],
-            image_view_count: 2,
-            item_height: 300
-          },
-          {
-            type_id: 2,
-            item_bg_color: styleColors.dark_green,
-            item_bg_radius: 10,
-            text_view: [
-              { x: 0, y: 0, w: 380, h: 40, key: 'date_period', color: styleColors.white_smoke, text_size: 30, align_h: align.CENTER_H},
-              { x: 0, y: 50, w: 380, h: 40, key: 'period', color: styleColors.white_smoke, text_size: 30, align_h: align.CENTER_H},
-              { x: 0, y: 80, w: 380, h: 80, key: 'description', color: styleColors.white_smoke, text_size: 40, align_h: align.CENTER_H},
-              { x: 0, y: 150, w: 380, h: 40, key: 'weekDay', color: styleColors.white_smoke, text_size: 30, align_h: align.CENTER_H},
-              { x: 0, y: 200, w: 380, h: 40, key: 'status', color: styleColors.white_smoke, text_size: 30, align_h: align.CENTER_H},
-              { x: 0, y: 250, w: 380, h: 40, key: 'check_repeat', color: styleColors.white_smoke, text_size: 30, align_h: align.CENTER_H},
-            ],
-            text_view_count: 6,
-            image_view: [
-              { x:410, y: 20, w: 64, h: 64, key: 'del_img', action: true },
-              { x:410, y: 150, w: 64, h: 64, key: 'edit_img', action: true }
-            ],
-            image_view_count: 2,
-            item_height: 300
-          },
-          {
-            type_id: 3,
-            item_bg_color: styleColors.dark_blue,
-            item_bg_radius: 10,
-            text_view: [
-              { x: 0, y: 0, w: 380, h: 40, key: 'date_period', color: styleColors.white_smoke, text_size: 30, align_h: align.CENTER_H},
-              { x: 0, y: 50, w: 380, h: 40, key: 'period', color: styleColors.white_smoke, text_size: 30, align_h: align.CENTER_H},
-              { x: 0, y: 80, w: 380, h: 80, key: 'description', color: styleColors.white_smoke, text_size: 40, align_h: align.CENTER_H},
-              { x: 0, y: 150, w: 380, h: 40, key: 'weekDay', color: styleColors.white_smoke, text_size: 30, align_h: align.CENTER_H},
-              { x: 0, y: 200, w: 380, h: 40, key: 'status', color: styleColors.white_smoke, text_size: 30, align_h: align.CENTER_H},
-              { x: 0, y: 250, w: 380, h: 40, key: 'check_repeat', color: styleColors.white_smoke, text_size: 30, align_h: align.CENTER_H},
-            ],
-            text_view_count: 6,
-            image_view: [
-              { x:410, y: 20, w: 64, h: 64, key: 'del_img', action: true },
-              { x:410, y: 150, w: 64, h: 64, key: 'edit_img', action: true }
-            ],
-            image_view_count: 2,
-            item_height: 300
-          },
+          ...this.eventTypes.map((eventType, index) => this.eventItemConfig(index + 5, eventType)),
           {
             type_id: 4,
             item_bg_color: styleColors.brown,
@@ -229,12 +286,18 @@ Page({
             item_height: 0
           },
         ],
-        item_config_count: 5,
+        item_config_count: this.eventTypes.length + 2,
         data_array: weekEvents,
         data_count: weekEvents.length,
         item_focus_change_func: (list, index, focus) => {},
         item_click_func: (item, index, data_key) => {
-          if (data_key === 'del_img') {
+          if (data_key === 'del_img' && weekEvents[index].occurrence !== undefined) {
+            push({
+              url: 'page/event/scope',
+              params: JSON.stringify({ action: 'delete', event: listOfEvents[index-1] })
+            })
+          }
+          else if (data_key === 'del_img') {
                 const deleteDialog = createModal({
                   content: getText('Delete this event') + '?',
                   autoHide: false,
@@ -242,10 +305,17 @@ Page({
                   onClick: (keyObj) => {
                       const { type } = keyObj
                       if (type === MODAL_CONFIRM) {
-                        eventServise.deleteEvent(weekEvents[index].id)
+                        const trashId = eventServise.deleteEvent(weekEvents[index].id)
                         scrollList.setProperty(prop.DELETE_ITEM, { index })
                         logger.log('Delete event: ' + JSON.stringify(weekEvents[index]))
                         deleteDialog.show(false)
+                        showUndoToast(getText('Event deleted'), () => {
+                          eventServise.restoreFromTrash([trashId])
+                          push({
+                            url: 'page/list',
+                            params: JSON.stringify(period)
+                          })
+                        })
                       } else {
                           logger.log('Delete canceled')
                           deleteDialog.show(false)
@@ -268,45 +338,28 @@ Page({
               params: JSON.stringify(newWeek)
             })
           }
+          else if (data_key === 'status'){
+            push({
+              url: 'page/event/completion',
+              params: JSON.stringify({ event: listOfEvents[index-1], from: 'list' })
+            })
+          }
           else if (data_key == 'edit_img'){
             logger.log('Calling edit menu...')
-            push({
+            if (listOfEvents[index-1].occurrence !== undefined) {
+              push({
+                url: 'page/event/scope',
+                params: JSON.stringify({ action: 'edit', event: listOfEvents[index-1] })
+              })
+            }
+            else push({
               url: 'page/event/edit/menu',
               params: JSON.stringify(listOfEvents[index-1])
             })
           }
         },
-        data_type_config: [
-          {
-            start: 0,
-            end:  0,
-            type_id: 0
-          },
-          {
-            start: 1,
-            end: separatedByColorInd.past,
-            type_id: 1,
-            visible: separatedByColorInd.past > 0
-          },
-          {
-            start: separatedByColorInd.past == 0 ? 1 : separatedByColorInd.past+1,
-            end: separatedByColorInd.current,
-            type_id: 2,
-            visible: separatedByColorInd.current > separatedByColorInd.past
-          },
-          {
-            start: separatedByColorInd.current == 0 ? 1 : separatedByColorInd.current+1,
-            end: weekEvents.length - 1,
-            type_id: 3,
-            visible: separatedByColorInd.future > 0
-          },
-          {
-            start: weekEvents.length-1,
-            end: weekEvents.length-1,
-            type_id: 4
-          }
-        ],
-        data_type_config_count: 5
+        data_type_config: dataTypeConfig,
+        data_type_config_count: dataTypeConfig.length
     })
   }
 })
\ No newline at end of file
@@ -51,6 +51,9 @@ Page({
         const menu = [
             {src:'', text: getText('New event')},
             {src:'', text: getText('List of events')},
+            {src:'', text: getText('Tasks')},
+            {src:'', text: getText('Search')},
+            {src:'', text: getText('Statistics')},
             {src:'', text: getText('Settings')},
             {src:'', text: getText('About')},
         ]
@@ -76,11 +79,26 @@ Page({
                         url: 'page/list',
                     })
                 } else if (index == 2) {
+                    logger.log('Push to the tasks page')
+                    push({
+                        url: 'page/tasks/list',
+                    })
+                } else if (index == 3) {
+                    logger.log('Push to the search page')
+                    push({
+                        url: 'page/search/query',
+                    })
+                } else if (index == 4) {
+                    logger.log('Push to the statistics page')
+                    push({
+                        url: 'page/statistics',
+                    })
+                } else if (index == 5) {
                     logger.log('Push to the settings page')
                     push({
                         url: 'page/settings/menu',
                     })
-                } else if (index == 3) {
+                } else if (index == 6) {
                     logger.log('Push to the about page')
                     push({
                         url: 'page/about',
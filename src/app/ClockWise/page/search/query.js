@@ -0,0 +1,27 @@
+import { createKeyboard, inputType } from '@zos/ui'
+import { push, back } from '@zos/router'
+import {log} from '@zos/utils'
+import { getText } from '@zos/i18n'
+
+const logger = log.getLogger('page/search/query.js')
+
+Page ({
+    onInit(){
+        logger.log('Search keyboard init')
+        createKeyboard({
+            inputType: inputType.JSKB,
+            onComplete: (keyboardWidget, result) => {
+                logger.log('Search query: ' + result.data)
+                push({
+                    url: 'page/search/results',
+                    params: JSON.stringify({ query: result.data }),
+                })
+            },
+            onCancel: (keyboardWidget, result) => {
+                logger.log('Cancel search')
+                back()
+            },
+            text: getText('Search')
+        })
+    }
+})
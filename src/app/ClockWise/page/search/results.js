@@ -0,0 +1,137 @@
+import { createWidget, widget, align } from '@zos/ui'
+import { onGesture, GESTURE_RIGHT } from '@zos/interaction'
+import { push } from '@zos/router'
+import { getText } from '@zos/i18n'
+import {log} from '@zos/utils'
+import { styleColors } from '../../utils/Constants'
+import { eventServise } from '../../utils/Globals'
+
+const logger = log.getLogger('page/search/results.js')
+
+/**
+ * Events found by search query, tap on event opens it
+ *
+ * Page params: {query: string}
+ */
+Page({
+    registerGes(){
+        onGesture({
+            callback: (event) => {
+            if (event === GESTURE_RIGHT) {
+                push({
+                    url: 'page/menu',
+                })
+            }
+            return true
+            },
+        })
+    },
+
+    initBg(){
+        this.circle = createWidget(widget.CIRCLE, {
+        center_x: 240,
+        center_y: 240,
+        radius: 227,
+        color: styleColors.white_smoke,
+        })
+        this.circle = createWidget(widget.CIRCLE, {
+        center_x: 240,
+        center_y: 240,
+        radius: 225,
+        color: styleColors.black,
+        })
+    },
+
+    initTitle(query, count){
+        createWidget(widget.TEXT, {
+            text: '🔍 "' + query + '" (' + count + ')',
+            x: 40,
+            y: 50,
+            w: 400,
+            h: 50,
+            text_size: 32,
+            align_h: align.CENTER_H,
+            align_v: align.CENTER_V,
+            color: styleColors.white
+        })
+    },
+
+    ifNothingFoundLabel(){
+        createWidget(widget.TEXT, {
+            text: getText('Nothing found'),
+            x: 0,
+            y: 220,
+            w: 480,
+            h: 50,
+            text_size: 35,
+            align_h: align.CENTER_H,
+            align_v: align.CENTER_V,
+            color: styleColors.white
+        })
+    },
+
+    itemType(event){
+        const now = new Date()
+        if (now > new Date(event.end)) return 1
+        if (new Date(event.start) > now) return 3
+        return 2
+    },
+
+    onInit(params){
+        this.registerGes()
+        this.initBg()
+        const { query } = JSON.parse(params)
+        const found = eventServise.searchEvents(query)
+        this.initTitle(query, found.length)
+        if (found.length == 0) {
+            this.ifNothingFoundLabel()
+            return
+        }
+        // Items of the list are ordered by state, each state has its own background
+        const events = [1, 2, 3].flatMap((type) => found.filter((event) => this.itemType(event) == type))
+        let dataTypeConfig = []
+        events.forEach((event, index) => {
+            const type_id = this.itemType(event)
+            const last = dataTypeConfig[dataTypeConfig.length - 1]
+            if (last && last.type_id == type_id) last.end = index
+            else dataTypeConfig.push({ start: index, end: index, type_id: type_id })
+        })
+        const textView = [
+            { x: 0, y: 0, w: 380, h: 40, key: 'date_period', color: styleColors.white_smoke, text_size: 30, align_h: align.CENTER_H },
+            { x: 0, y: 50, w: 380, h: 40, key: 'period', color: styleColors.white_smoke, text_size: 30, align_h: align.CENTER_H },
+            { x: 0, y: 90, w: 380, h: 80, key: 'description', color: styleColors.white_smoke, text_size: 40, align_h: align.CENTER_H },
+        ]
+        const itemConfig = [
+            { type_id: 1, item_bg_color: styleColors.dark_gray },
+            { type_id: 2, item_bg_color: styleColors.dark_green },
+            { type_id: 3, item_bg_color: styleColors.dark_blue },
+        ].map((config) => ({ ...config, item_bg_radius: 10, text_view: textView, text_view_count: textView.length, item_height: 180 }))
+        createWidget(widget.SCROLL_LIST, {
+            x: (480-380)/2,
+            y: 110,
+            h: 370,
+            w: 380,
+            radius: 10,
+            item_space: 20,
+            snap_to_center: true,
+            item_config: itemConfig,
+            item_config_count: itemConfig.length,
+            data_array: events.map((event) => ({
+                description: event.description,
+                date_period: '🗓️ ' + event.date_period,
+                period: '🕑 ' + event.period,
+            })),
+            data_count: events.length,
+            item_focus_change_func: (list, index, focus) => {},
+            item_click_func: (item, index, data_key) => {
+                logger.log('Open found event: ' + events[index].id)
+                push({
+                    url: 'page/event',
+                    params: JSON.stringify(events[index]),
+                })
+            },
+            data_type_config: dataTypeConfig,
+            data_type_config_count: dataTypeConfig.length
+        })
+    }
+})
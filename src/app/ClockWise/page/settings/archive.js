@@ -0,0 +1,111 @@
+import { createWidget, widget, align } from '@zos/ui'
+import { getText } from '@zos/i18n'
+import {log} from '@zos/utils'
+import { COMPLETION_MARKERS, styleColors } from '../../utils/Constants'
+import { Event } from '../../utils/models/Event'
+import { ArchiveService } from '../../utils/services/ArchiveService'
+
+const logger = log.getLogger('page/settings/archive.js')
+
+/**
+ * Expired events moved to the archive by auto-delete, the latest first
+ */
+Page({
+    initBg(){
+        this.circle = createWidget(widget.CIRCLE, {
+        center_x: 240,
+        center_y: 240,
+        radius: 227,
+        color: styleColors.white_smoke,
+        })
+        this.circle = createWidget(widget.CIRCLE, {
+        center_x: 240,
+        center_y: 240,
+        radius: 225,
+        color: styleColors.black,
+        })
+    },
+
+    initTitle(count){
+        createWidget(widget.TEXT, {
+            text: getText('Archive') + (count > 0 ? ' (' + count + ')' : ''),
+            x: 0,
+            y: 50,
+            w: 480,
+            h: 50,
+            text_size: 35,
+            align_h: align.CENTER_H,
+            align_v: align.CENTER_V,
+            color: styleColors.white
+        })
+    },
+
+    ifEmptyArchiveLabel(){
+        createWidget(widget.TEXT, {
+            text: getText('Archive is empty'),
+            x: 0,
+            y: 220,
+            w: 480,
+            h: 50,
+            text_size: 35,
+            align_h: align.CENTER_H,
+            align_v: align.CENTER_V,
+            color: styleColors.white
+        })
+    },
+
+    addKeys(events){
+        return events.map((item) => {
+            const event = new Event(item)
+            return {
+                description: event.description,
+                date_period: '🗓️ ' + event.date_period + (event.completion ? ' ' + COMPLETION_MARKERS[event.completion] : ''),
+                period: '🕑 ' + event.period + ' ' + event.getDuration(),
+            }
+        })
+    },
+
+    onInit(){
+        this.initBg()
+        const events = ArchiveService.getEvents()
+        logger.log('Init archive, count of events: ' + events.length)
+        this.initTitle(events.length)
+        if (events.length == 0) {
+            this.ifEmptyArchiveLabel()
+            return
+        }
+        const archivedEvents = this.addKeys(events)
+        createWidget(widget.SCROLL_LIST, {
+            x: (480-380)/2,
+            y: 110,
+            h: 370,
+            w: 380,
+            radius: 10,
+            item_space: 20,
+            snap_to_center: true,
+            item_config: [
+                {
+                    type_id: 1,
+                    item_bg_color: styleColors.dark_gray,
+                    item_bg_radius: 10,
+                    text_view: [
+                        { x: 0, y: 0, w: 380, h: 40, key: 'date_period', color: styleColors.white_smoke, text_size: 30, align_h: align.CENTER_H },
+                        { x: 0, y: 50, w: 380, h: 40, key: 'period', color: styleColors.white_smoke, text_size: 30, align_h: align.CENTER_H },
+                        { x: 0, y: 90, w: 380, h: 80, key: 'description', color: styleColors.white_smoke, text_size: 40, align_h: align.CENTER_H },
+                    ],
+                    text_view_count: 3,
+                    item_height: 180
+                },
+            ],
+            item_config_count: 1,
+            data_array: archivedEvents,
+            data_count: archivedEvents.length,
+            item_focus_change_func: (list, index, focus) => {},
+            item_click_func: (item, index, data_key) => {},
+            data_type_config: [
+                { start: 0, end: archivedEvents.length - 1, type_id: 1 },
+            ],
+            data_type_config_count: 1
+        })
+    }
+})
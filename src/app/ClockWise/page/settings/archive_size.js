@@ -0,0 +1,90 @@
+import { createWidget, widget, align, prop } from '@zos/ui'
+import { back } from '@zos/router'
+import { getText } from '@zos/i18n'
+import { ARCHIVE_LIMITS, styleColors } from '../../utils/Constants'
+import { SettingsService } from '../../utils/services/SettingsService'
+import { ArchiveService } from '../../utils/services/ArchiveService'
+
+/**
+ * Maximum count of events in the archive, expired events are deleted without archive if it is 0
+ */
+let index_archive_limit = 0
+Page({
+    initTitle(){
+        createWidget(widget.TEXT, {
+            text: getText('Archive size:'),
+            w: 300,
+            h: 50,
+            x: (480-300)/2,
+            y: 50,
+            align_v: align.CENTER_V,
+            align_h: align.CENTER_H,
+            text_size: 35,
+            color: styleColors.white_smoke
+        })
+    },
+
+    limitLabel(limit){
+        return limit == 0 ? getText("Don't archive") : getText('Keep') + ' ' + limit
+    },
+
+    initLimitRadioGroup(){
+        const radioGroup = createWidget(widget.RADIO_GROUP, {
+            x: 0,
+            y: 0,
+            w: 480,
+            h: 480,
+            select_src: 'radio_selected.png',
+            unselect_src: 'radio_unselected.png',
+            check_func: (group, index, checked) => {
+                if (checked){
+                    index_archive_limit = index
+                }
+            }
+        })
+        const buttons = ARCHIVE_LIMITS.map((limit, index) => {
+            createWidget(widget.TEXT, {
+                text: this.limitLabel(limit),
+                w: 250,
+                h: 64,
+                x: 70,
+                y: 140 + index * 100,
+                align_v: align.CENTER_V,
+                align_h: align.LEFT,
+                text_size: 32,
+                color: styleColors.white_smoke
+            })
+            return radioGroup.createWidget(widget.STATE_BUTTON, {
+                x: 380,
+                y: 150 + index * 100,
+                w: 64,
+                h: 64
+            })
+        })
+        const current = ARCHIVE_LIMITS.indexOf(SettingsService.loadSettings().archiveLimit)
+        radioGroup.setProperty(prop.INIT, buttons[current >= 0 ? current : 0])
+    },
+
+    onInit(){
+        this.initTitle()
+        this.initLimitRadioGroup()
+        createWidget(widget.BUTTON, {
+            x: 40,
+            y: 150 + ARCHIVE_LIMITS.length * 100,
+            w: 400,
+            h: 60,
+            radius: 30,
+            normal_color: styleColors.dark_red,
+            press_color: styleColors.blue_violet,
+            text: getText('Submit'),
+            text_size: 32,
+            click_func: () => {
+                const settings = SettingsService.loadSettings()
+                settings.archiveLimit = ARCHIVE_LIMITS[index_archive_limit]
+                SettingsService.saveSettings(settings)
+                ArchiveService.applyLimit(settings.archiveLimit)
+                back()
+            }
+        })
+    }
+})
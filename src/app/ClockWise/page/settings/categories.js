@@ -0,0 +1,141 @@
+import { createWidget, widget, align } from '@zos/ui'
+import { createModal, MODAL_CONFIRM } from '@zos/interaction'
+import { push } from '@zos/router'
+import { getText } from '@zos/i18n'
+import {log} from '@zos/utils'
+import { styleColors } from '../../utils/Constants'
+import { CategoryService } from '../../utils/services/CategoryService'
+
+const logger = log.getLogger('page/settings/categories.js')
+
+/**
+ * Category manager: categories can be added, edited or deleted
+ */
+Page({
+    initBg(){
+        this.circle = createWidget(widget.CIRCLE, {
+        center_x: 240,
+        center_y: 240,
+        radius: 227,
+        color: styleColors.white_smoke,
+        })
+        this.circle = createWidget(widget.CIRCLE, {
+        center_x: 240,
+        center_y: 240,
+        radius: 225,
+        color: styleColors.black,
+        })
+    },
+
+    initTitle(){
+        createWidget(widget.TEXT, {
+            text: getText('Categories'),
+            x: 0,
+            y: 50,
+            w: 480,
+            h: 50,
+            text_size: 35,
+            align_h: align.CENTER_H,
+            align_v: align.CENTER_V,
+            color: styleColors.white
+        })
+    },
+
+    addKeys(categories){
+        let result = [{ new_img: 'add_btn.png', new_text: getText('New category') }]
+        for (const category of categories) {
+            result.push({
+                label: category.getLabel(),
+                del_img: 'delete.png',
+            })
+        }
+        return result
+    },
+
+    confirm(content, action){
+        const dialog = createModal({
+            content: content,
+            autoHide: false,
+            show: false,
+            onClick: (keyObj) => {
+                dialog.show(false)
+                if (keyObj.type === MODAL_CONFIRM) action()
+            },
+        })
+        dialog.show(true)
+    },
+
+    onInit(){
+        this.initBg()
+        this.initTitle()
+        const categories = CategoryService.getAll()
+        const listItems = this.addKeys(categories)
+        const scrollList = createWidget(widget.SCROLL_LIST, {
+            x: (480-380)/2,
+            y: 110,
+            h: 370,
+            w: 380,
+            radius: 10,
+            item_space: 20,
+            snap_to_center: true,
+            item_enable_horizon_drag: true,
+            item_drag_max_distance: -120,
+            item_config: [
+                {
+                    type_id: 0,
+                    item_bg_color: styleColors.dark_green,
+                    item_bg_radius: 35,
+                    text_view: [
+                        { x: 80, y: 0, w: 280, h: 70, key: 'new_text', color: styleColors.white_smoke, text_size: 30, align_h: align.LEFT },
+                    ],
+                    text_view_count: 1,
+                    image_view: [{ x: 10, y: 3, w: 64, h: 64, key: 'new_img', action: true }],
+                    image_view_count: 1,
+                    item_height: 70
+                },
+                ...categories.map((category, index) => ({
+                    type_id: index + 1,
+                    item_bg_color: category.color,
+                    item_bg_radius: 35,
+                    text_view: [
+                        { x: 20, y: 0, w: 340, h: 70, key: 'label', color: styleColors.white_smoke, text_size: 32, align_h: align.LEFT },
+                    ],
+                    text_view_count: 1,
+                    image_view: [{ x: 410, y: 3, w: 64, h: 64, key: 'del_img', action: true }],
+                    image_view_count: 1,
+                    item_height: 70
+                })),
+            ],
+            item_config_count: categories.length + 1,
+            data_array: listItems,
+            data_count: listItems.length,
+            item_focus_change_func: (list, index, focus) => {},
+            item_click_func: (item, index, data_key) => {
+                if (index == 0) {
+                    push({
+                        url: 'page/settings/category/name',
+                        params: JSON.stringify({}),
+                    })
+                }
+                else if (data_key === 'del_img') {
+                    const category = categories[index-1]
+                    this.confirm(getText('Delete') + ' ' + category.getLabel() + '?', () => {
+                        CategoryService.delete(category.id)
+                        logger.log('Category deleted: ' + category.id)
+                        push({
+                            url: 'page/settings/categories',
+                        })
+                    })
+                }
+                else {
+                    push({
+                        url: 'page/settings/category/name',
+                        params: JSON.stringify(categories[index-1]),
+                    })
+                }
+            },
+            data_type_config: listItems.map((item, index) => ({ start: index, end: index, type_id: index })),
+            data_type_config_count: listItems.length
+        })
+    }
+})
@@ -0,0 +1,47 @@
+import { createWidget, widget } from '@zos/ui'
+import { getText } from '@zos/i18n'
+import { push } from '@zos/router'
+import {log} from '@zos/utils'
+import { CATEGORY_ICONS } from '../../../utils/Constants'
+import { CategoryService } from '../../../utils/services/CategoryService'
+
+const logger = log.getLogger('page/settings/category/icon.js')
+
+/**
+ * Last step of category editing, chosen icon saves the category
+ */
+Page({
+    onInit(params){
+        logger.log('Init category icon page with params: ' + params)
+        const category = JSON.parse(params)
+        const title = createWidget(widget.TEXT, {
+            x: 140,
+            y: 50,
+            text: getText('Category icon'),
+            text_size: 40,
+            w: 480,
+            h: 50,
+        })
+        CATEGORY_ICONS.forEach((icon, index) => {
+            createWidget(widget.BUTTON, {
+                x: 70 + 90 * (index % 4),
+                y: 150 + 100 * Math.floor(index / 4),
+                w: 80,
+                h: 80,
+                radius: 40,
+                normal_color: category.color,
+                press_color: 0xfeb4a8,
+                text: icon || '✖',
+                text_size: 36,
+                click_func: () => {
+                    category.icon = icon
+                    const saved = CategoryService.save(category)
+                    logger.log('Category saved: ' + JSON.stringify(saved))
+                    push({
+                        url: 'page/settings/categories',
+                    })
+                }
+            })
+        })
+    }
+})
@@ -0,0 +1,34 @@
+import { createKeyboard, inputType } from '@zos/ui'
+import { push, back } from '@zos/router'
+import {log} from '@zos/utils'
+import { getText } from '@zos/i18n'
+
+const logger = log.getLogger('page/settings/category/name.js')
+
+Page ({
+    onInit(params){
+        logger.log('Category name keyboard init with params: ' + params)
+        const category = JSON.parse(params)
+        createKeyboard({
+            inputType: inputType.JSKB,
+            onComplete: (keyboardWidget, result) => {
+                if (result.data.trim() === '') {
+                    logger.log('Empty category name, keyboard closed')
+                    back()
+                    return
+                }
+                category.name = result.data
+                logger.log('Category name done: ' + category.name)
+                push({
+                    url: 'page/settings/category/color',
+                    params: JSON.stringify(category),
+                })
+            },
+            onCancel: (keyboardWidget, result) => {
+                logger.log('Cancel keyboard input')
+                back()
+            },
+            text: category.name || getText('Category name')
+        })
+    }
+})
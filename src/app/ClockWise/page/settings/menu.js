@@ -4,6 +4,7 @@ import { push } from '@zos/router'
 import { getText } from '@zos/i18n'
 import { styleColors } from '../../utils/Constants'
 import { eventServise } from '../../utils/Globals'
+import { showUndoToast } from '../../utils/UndoToast'
 
 Page({
 
@@ -30,11 +31,11 @@ Page({
             onClick: (keyObj) => {
                 const { type } = keyObj
                 if (type === MODAL_CONFIRM) {
-                    push({
-                        url: 'page/index',
-                    })
-                    eventServise.clearHistoryOfEvents()
+                    const trashIds = eventServise.clearHistoryOfEvents()
                     dialog.show(false)
+                    showUndoToast(getText('History cleared'), () => eventServise.restoreFromTrash(trashIds), () => push({
+                        url: 'page/index',
+                    }))
                 } else {
                     dialog.show(false)
                 }
@@ -47,7 +48,11 @@ Page({
         this.initBg()
         const menu = [
             {src:'', text: getText('Auto delete')},
-            {src:'', text: getText('Clear history')}
+            {src:'', text: getText('Clear history')},
+            {src:'', text: getText('Trash')},
+            {src:'', text: getText('Archive')},
+            {src:'', text: getText('Archive size')},
+            {src:'', text: getText('Categories')}
         ]
         cycleList = createWidget(widget.CYCLE_IMAGE_TEXT_LIST, {
             x: (480-330)/2,
@@ -69,6 +74,22 @@ Page({
                     })
                 } else if (index == 1){
                     this.initClearHistoryDialog()
+                } else if (index == 2){
+                    push({
+                        url: 'page/settings/trash',
+                    })
+                } else if (index == 3){
+                    push({
+                        url: 'page/settings/archive',
+                    })
+                } else if (index == 4){
+                    push({
+                        url: 'page/settings/archive_size',
+                    })
+                } else if (index == 5){
+                    push({
+                        url: 'page/settings/categories',
+                    })
                 }
 
             },
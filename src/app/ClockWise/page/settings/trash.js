@@ -0,0 +1,179 @@
+import { createWidget, widget, align, prop } from '@zos/ui'
+import { createModal, MODAL_CONFIRM } from '@zos/interaction'
+import { push } from '@zos/router'
+import { getText } from '@zos/i18n'
+import {log} from '@zos/utils'
+import { styleColors } from '../../utils/Constants'
+import { eventServise } from '../../utils/Globals'
+import { Event } from '../../utils/models/Event'
+import { TrashService } from '../../utils/services/TrashService'
+
+const logger = log.getLogger('page/settings/trash.js')
+
+/**
+ * Deleted events: each of them can be restored or deleted forever
+ */
+Page({
+    initBg(){
+        this.circle = createWidget(widget.CIRCLE, {
+        center_x: 240,
+        center_y: 240,
+        radius: 227,
+        color: styleColors.white_smoke,
+        })
+        this.circle = createWidget(widget.CIRCLE, {
+        center_x: 240,
+        center_y: 240,
+        radius: 225,
+        color: styleColors.black,
+        })
+    },
+
+    initTitle(){
+        createWidget(widget.TEXT, {
+            text: getText('Trash'),
+            x: 0,
+            y: 50,
+            w: 480,
+            h: 50,
+            text_size: 35,
+            align_h: align.CENTER_H,
+            align_v: align.CENTER_V,
+            color: styleColors.white
+        })
+    },
+
+    ifEmptyTrashLabel(){
+        createWidget(widget.TEXT, {
+            text: getText('Trash is empty'),
+            x: 0,
+            y: 220,
+            w: 480,
+            h: 50,
+            text_size: 35,
+            align_h: align.CENTER_H,
+            align_v: align.CENTER_V,
+            color: styleColors.white
+        })
+    },
+
+    addKeys(items){
+        let result = [{ empty_trash: 'delete.png', empty_trash_text: getText('Empty trash') }]
+        for (const item of items) {
+            const event = new Event(item.event)
+            const deleted = new Date(item.deleted_at)
+            result.push({
+                description: event.description,
+                date_period: '🗓️ ' + event.date_period,
+                period: '🕑 ' + event.period,
+                deleted: getText('Deleted') + ': ' + Event.addZero(deleted.getDate()) + '.' + Event.addZero(deleted.getMonth() + 1),
+                restore_img: 'add_btn.png',
+                del_img: 'delete.png',
+            })
+        }
+        return result
+    },
+
+    confirm(content, action){
+        const dialog = createModal({
+            content: content,
+            autoHide: false,
+            show: false,
+            onClick: (keyObj) => {
+                dialog.show(false)
+                if (keyObj.type === MODAL_CONFIRM) action()
+            },
+        })
+        dialog.show(true)
+    },
+
+    onInit(){
+        this.initBg()
+        this.initTitle()
+        const items = TrashService.getItems()
+        if (items.length == 0) {
+            this.ifEmptyTrashLabel()
+            return
+        }
+        const trashItems = this.addKeys(items)
+        const scrollList = createWidget(widget.SCROLL_LIST, {
+            x: (480-380)/2,
+            y: 110,
+            h: 370,
+            w: 380,
+            radius: 10,
+            item_space: 20,
+            snap_to_center: true,
+            item_enable_horizon_drag: true,
+            item_drag_max_distance: -120,
+            item_config: [
+                {
+                    type_id: 0,
+                    item_bg_color: styleColors.dark_red,
+                    item_bg_radius: 35,
+                    text_view: [
+                        { x: 80, y: 0, w: 280, h: 70, key: 'empty_trash_text', color: styleColors.white_smoke, text_size: 30, align_h: align.LEFT },
+                    ],
+                    text_view_count: 1,
+                    image_view: [{ x: 10, y: 3, w: 64, h: 64, key: 'empty_trash', action: true }],
+                    image_view_count: 1,
+                    item_height: 70
+                },
+                {
+                    type_id: 1,
+                    item_bg_color: styleColors.dark_gray,
+                    item_bg_radius: 10,
+                    text_view: [
+                        { x: 0, y: 0, w: 380, h: 40, key: 'date_period', color: styleColors.white_smoke, text_size: 30, align_h: align.CENTER_H },
+                        { x: 0, y: 50, w: 380, h: 40, key: 'period', color: styleColors.white_smoke, text_size: 30, align_h: align.CENTER_H },
+                        { x: 0, y: 90, w: 380, h: 80, key: 'description', color: styleColors.white_smoke, text_size: 40, align_h: align.CENTER_H },
+                        { x: 0, y: 170, w: 380, h: 40, key: 'deleted', color: styleColors.light_gray, text_size: 28, align_h: align.CENTER_H },
+                    ],
+                    text_view_count: 4,
+                    image_view: [
+                        { x: 410, y: 20, w: 64, h: 64, key: 'restore_img', action: true },
+                        { x: 410, y: 130, w: 64, h: 64, key: 'del_img', action: true }
+                    ],
+                    image_view_count: 2,
+                    item_height: 220
+                },
+            ],
+            item_config_count: 2,
+            data_array: trashItems,
+            data_count: trashItems.length,
+            item_focus_change_func: (list, index, focus) => {},
+            item_click_func: (item, index, data_key) => {
+                if (index == 0) {
+                    this.confirm(getText('Empty trash') + '?', () => {
+                        TrashService.clear()
+                        logger.log('Trash emptied')
+                        push({
+                            url: 'page/settings/trash',
+                        })
+                    })
+                }
+                else if (data_key === 'restore_img') {
+                    eventServise.restoreFromTrash([items[index-1].id])
+                    logger.log('Restore trash item: ' + items[index-1].id)
+                    push({
+                        url: 'page/settings/trash',
+                    })
+                }
+                else if (data_key === 'del_img') {
+                    this.confirm(getText('Delete forever') + '?', () => {
+                        TrashService.remove([items[index-1].id])
+                        logger.log('Delete trash item forever: ' + items[index-1].id)
+                        push({
+                            url: 'page/settings/trash',
+                        })
+                    })
+                }
+            },
+            data_type_config: [
+                { start: 0, end: 0, type_id: 0 },
+                { start: 1, end: trashItems.length - 1, type_id: 1 },
+            ],
+            data_type_config_count: 2
+        })
+    }
+})
@@ -0,0 +1,189 @@
+import { createWidget, widget, align } from '@zos/ui'
+import { getText } from '@zos/i18n'
+import { push } from '@zos/router'
+import {log} from '@zos/utils'
+import { HOUR_MS, MINUTE_MS, STATISTICS, STATISTICS_PERIODS, WEEK_DAYS_SHORT, styleColors } from '../utils/Constants'
+import { eventServise } from '../utils/Globals'
+import { Event } from '../utils/models/Event'
+import { CategoryService } from '../utils/services/CategoryService'
+import { StatisticsService } from '../utils/services/StatisticsService'
+
+const logger = log.getLogger('page/statistics.js')
+
+/**
+ * Scheduled hours of the current week or month: donut chart by categories and colors,
+ * busiest days and average event length, page is scrolled
+ * 
+ * Params: {period}, 'week' or 'month', title switches the period
+ */
+Page({
+    initBg(){
+        this.circle = createWidget(widget.CIRCLE, {
+        center_x: 240,
+        center_y: 240,
+        radius: 227,
+        color: styleColors.white_smoke,
+        })
+        this.circle = createWidget(widget.CIRCLE, {
+        center_x: 240,
+        center_y: 240,
+        radius: 225,
+        color: styleColors.black,
+        })
+    },
+
+    durationText(duration){
+        const minutes = Math.round(duration / MINUTE_MS)
+        const hours = Math.floor(minutes / 60)
+        return (hours > 0 ? hours + getText('h') + ' ' : '') + minutes % 60 + getText('m')
+    },
+
+    initTitle(container, type){
+        const next = STATISTICS_PERIODS[(STATISTICS_PERIODS.indexOf(type) + 1) % STATISTICS_PERIODS.length]
+        container.createWidget(widget.BUTTON, {
+            x: (480-300)/2,
+            y: 50,
+            w: 300,
+            h: 50,
+            radius: 25,
+            text: '📊 ' + getText(type === 'week' ? 'Week' : 'Month'),
+            text_size: 35,
+            color: styleColors.white,
+            normal_color: styleColors.black,
+            press_color: styleColors.dark_gray,
+            click_func: () => {
+                push({
+                    url: 'page/statistics',
+                    params: JSON.stringify({ period: next })
+                })
+            }
+        })
+    },
+
+    initDonut(container, statistics){
+        // Chart is drawn the same way as sectors of the dial: filled arcs and black centre over them
+        const size = STATISTICS.radius * 2
+        const canvas = container.createWidget(widget.CANVAS, {
+            x: (480-size)/2,
+            y: 110,
+            w: size,
+            h: size,
+        })
+        const drawSector = (radius, startAngle, endAngle, color) => canvas.drawArc({
+            center_x: STATISTICS.radius,
+            center_y: STATISTICS.radius,
+            radius_x: radius,
+            radius_y: radius,
+            start_angle: startAngle-90,
+            end_angle: endAngle-90,
+            color: color
+        })
+        if (statistics.total == 0) drawSector(STATISTICS.radius, 0, 360, styleColors.dark_gray)
+        let angle = 0
+        for (const group of statistics.groups) {
+            const endAngle = angle + group.duration / statistics.total * 360
+            drawSector(STATISTICS.radius, angle, endAngle, group.color)
+            angle = endAngle
+        }
+        drawSector(STATISTICS.hole_radius, 0, 360, styleColors.black)
+        container.createWidget(widget.TEXT, {
+            text: statistics.total > 0 ? Math.round(statistics.total / HOUR_MS * 10) / 10 + ' ' + getText('h') : getText('No events'),
+            x: (480-size)/2,
+            y: 110 + STATISTICS.radius - 25,
+            w: size,
+            h: 50,
+            text_size: 32,
+            align_h: align.CENTER_H,
+            align_v: align.CENTER_V,
+            color: styleColors.white
+        })
+    },
+
+    initRow(container, y, label, value, color){
+        if (color !== undefined) container.createWidget(widget.CIRCLE, {
+            center_x: 85,
+            center_y: y + 20,
+            radius: 12,
+            color: color,
+        })
+        container.createWidget(widget.TEXT, {
+            text: label,
+            x: 105,
+            y: y,
+            w: 190,
+            h: 40,
+            text_size: 28,
+            align_h: align.LEFT,
+            align_v: align.CENTER_V,
+            color: styleColors.white_smoke
+        })
+        container.createWidget(widget.TEXT, {
+            text: value,
+            x: 295,
+            y: y,
+            w: 120,
+            h: 40,
+            text_size: 28,
+            align_h: align.RIGHT,
+            align_v: align.CENTER_V,
+            color: styleColors.white_smoke
+        })
+        return y + 45
+    },
+
+    initSectionTitle(container, y, text){
+        container.createWidget(widget.TEXT, {
+            text: text,
+            x: 60,
+            y: y,
+            w: 360,
+            h: 40,
+            text_size: 28,
+            align_h: align.CENTER_H,
+            align_v: align.CENTER_V,
+            color: styleColors.light_gray
+        })
+        return y + 45
+    },
+
+    groupLabel(group){
+        const category = CategoryService.getById(group.category)
+        return category ? category.getLabel() : getText('No category')
+    },
+
+    dayLabel(date){
+        return getText(WEEK_DAYS_SHORT[date.getDay()]) + ' ' + Event.addZero(date.getDate().toString()) +
+            '.' + Event.addZero((date.getMonth()+1).toString())
+    },
+
+    onInit(params){
+        const type = params ? JSON.parse(params).period : STATISTICS_PERIODS[0]
+        logger.log('Init statistics of period: ' + type)
+        this.initBg()
+        const period = StatisticsService.getPeriod(type, new Date())
+        // Expired events are taken from the archive, if it is kept
+        const statistics = StatisticsService.calculate(eventServise.getEventsOfPeriod(period, true), period)
+        const container = createWidget(widget.VIEW_CONTAINER, {
+            x: 0,
+            y: 0,
+            w: 480,
+            h: 480,
+        })
+        this.initTitle(container, type)
+        this.initDonut(container, statistics)
+        let y = 120 + STATISTICS.radius * 2
+        for (const group of statistics.groups) {
+            y = this.initRow(container, y, this.groupLabel(group), this.durationText(group.duration), group.color)
+        }
+        if (statistics.count > 0) {
+            y = this.initSectionTitle(container, y + 10, getText('Busiest days'))
+            for (const day of statistics.busiestDays) {
+                y = this.initRow(container, y, this.dayLabel(day.date), this.durationText(day.duration))
+            }
+            y = this.initSectionTitle(container, y + 10, getText('Average event length'))
+            y = this.initRow(container, y, getText('Events') + ': ' + statistics.count, this.durationText(statistics.average))
+        }
+        // Empty space at the bottom lets the last lines scroll out of the round edge
+        container.createWidget(widget.TEXT, { text: '', x: 0, y: y, w: 480, h: 120 })
+    }
+})
@@ -0,0 +1,61 @@
+import { createWidget, widget, align } from '@zos/ui'
+import { getText } from '@zos/i18n'
+import { push } from '@zos/router'
+import {log} from '@zos/utils'
+import { styleColors } from '../../utils/Constants'
+import { TaskService } from '../../utils/services/TaskService'
+
+const logger = log.getLogger('page/tasks/due.js')
+
+/**
+ * Last step of task creation, chosen due date saves the task
+ */
+Page({
+    onInit(params){
+        logger.log('Init task due page with params: ' + params)
+        const task = JSON.parse(params)
+        createWidget(widget.TEXT, {
+            text: getText('Due date'),
+            w: 300,
+            h: 50,
+            x: (480-300)/2,
+            y: 50,
+            align_v: align.CENTER_V,
+            align_h: align.CENTER_H,
+            text_size: 35,
+            color: styleColors.white_smoke
+        })
+        const inDays = (days) => {
+            const date = new Date()
+            date.setDate(date.getDate() + days)
+            return date
+        }
+        const options = [
+            { text: 'No date', due: undefined },
+            { text: 'Today', due: inDays(0) },
+            { text: 'Tomorrow', due: inDays(1) },
+            { text: 'In a week', due: inDays(7) },
+        ]
+        options.forEach((option, index) => {
+            createWidget(widget.BUTTON, {
+                x: 40,
+                y: 120 + 85 * index,
+                w: 400,
+                h: 70,
+                radius: 35,
+                normal_color: index == 0 ? styleColors.dark_gray : styleColors.dark_blue,
+                press_color: styleColors.blue_violet,
+                text: getText(option.text),
+                text_size: 32,
+                click_func: () => {
+                    task.due = option.due
+                    const created = TaskService.add(task)
+                    logger.log('Task created: ' + JSON.stringify(created))
+                    push({
+                        url: 'page/tasks/list',
+                    })
+                }
+            })
+        })
+    }
+})
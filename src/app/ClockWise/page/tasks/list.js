@@ -0,0 +1,163 @@
+import { onGesture, GESTURE_RIGHT } from '@zos/interaction'
+import { createWidget, widget, align } from '@zos/ui'
+import { push } from '@zos/router'
+import { getText } from '@zos/i18n'
+import {log} from '@zos/utils'
+import { styleColors } from '../../utils/Constants'
+import { TaskService } from '../../utils/services/TaskService'
+
+const logger = log.getLogger('page/tasks/list.js')
+
+/**
+ * Tasks without time: tap on the circle marks task as done, swipe shows delete button
+ */
+Page({
+    registerGes(){
+        onGesture({
+            callback: (event) => {
+            if (event === GESTURE_RIGHT) {
+                push({
+                    url: 'page/index',
+                })
+            }
+            return true
+            },
+        })
+    },
+
+    initBg(){
+        this.circle = createWidget(widget.CIRCLE, {
+        center_x: 240,
+        center_y: 240,
+        radius: 227,
+        color: styleColors.white_smoke,
+        })
+        this.circle = createWidget(widget.CIRCLE, {
+        center_x: 240,
+        center_y: 240,
+        radius: 225,
+        color: styleColors.black,
+        })
+    },
+
+    initTitle(count){
+        createWidget(widget.TEXT, {
+            text: getText('Tasks') + (count > 0 ? ' (' + count + ')' : ''),
+            x: 0,
+            y: 50,
+            w: 480,
+            h: 50,
+            text_size: 35,
+            align_h: align.CENTER_H,
+            align_v: align.CENTER_V,
+            color: styleColors.white
+        })
+    },
+
+    itemType(task){
+        if (task.done) return 3
+        if (task.isOverdue()) return 2
+        return 1
+    },
+
+    addKeys(tasks){
+        let result = [{ add_img: 'add_btn.png', add_text: getText('New task') }]
+        for (const task of tasks) {
+            result.push({
+                title: task.title,
+                due: task.isOverdue() ? '⚠️ ' + task.getDueLabel() : task.getDueLabel(),
+                check: task.done ? 'radio_selected.png' : 'radio_unselected.png',
+                del_img: 'delete.png',
+            })
+        }
+        return result
+    },
+
+    dataTypeConfig(tasks){
+        let config = [{ start: 0, end: 0, type_id: 0 }]
+        tasks.forEach((task, index) => {
+            const type_id = this.itemType(task)
+            const last = config[config.length - 1]
+            if (last.type_id == type_id) last.end = index + 1
+            else config.push({ start: index + 1, end: index + 1, type_id: type_id })
+        })
+        return config
+    },
+
+    taskItemConfig(type_id, bgColor){
+        return {
+            type_id: type_id,
+            item_bg_color: bgColor,
+            item_bg_radius: 10,
+            text_view: [
+                { x: 84, y: 10, w: 280, h: 50, key: 'title', color: styleColors.white_smoke, text_size: 32, align_h: align.LEFT },
+                { x: 84, y: 60, w: 280, h: 36, key: 'due', color: styleColors.light_gray, text_size: 26, align_h: align.LEFT },
+            ],
+            text_view_count: 2,
+            image_view: [
+                { x: 10, y: 18, w: 64, h: 64, key: 'check', action: true },
+                { x: 410, y: 18, w: 64, h: 64, key: 'del_img', action: true }
+            ],
+            image_view_count: 2,
+            item_height: 100
+        }
+    },
+
+    onInit(){
+        this.registerGes()
+        this.initBg()
+        const tasks = TaskService.getAll()
+        this.initTitle(TaskService.getTodayOpenCount())
+        const listItems = this.addKeys(tasks)
+        const dataTypeConfig = this.dataTypeConfig(tasks)
+        createWidget(widget.SCROLL_LIST, {
+            x: (480-380)/2,
+            y: 110,
+            h: 370,
+            w: 380,
+            radius: 10,
+            item_space: 20,
+            snap_to_center: true,
+            item_enable_horizon_drag: true,
+            item_drag_max_distance: -120,
+            item_config: [
+                {
+                    type_id: 0,
+                    item_bg_color: styleColors.dark_green,
+                    item_bg_radius: 35,
+                    text_view: [
+                        { x: 80, y: 0, w: 280, h: 70, key: 'add_text', color: styleColors.white_smoke, text_size: 30, align_h: align.LEFT },
+                    ],
+                    text_view_count: 1,
+                    image_view: [{ x: 10, y: 3, w: 64, h: 64, key: 'add_img', action: true }],
+                    image_view_count: 1,
+                    item_height: 70
+                },
+                this.taskItemConfig(1, styleColors.dark_blue),
+                this.taskItemConfig(2, styleColors.dark_red),
+                this.taskItemConfig(3, styleColors.dark_gray),
+            ],
+            item_config_count: 4,
+            data_array: listItems,
+            data_count: listItems.length,
+            item_focus_change_func: (list, index, focus) => {},
+            item_click_func: (item, index, data_key) => {
+                if (index == 0) {
+                    push({
+                        url: 'page/tasks/title',
+                    })
+                    return
+                }
+                const task = tasks[index-1]
+                if (data_key === 'del_img') TaskService.delete(task.id)
+                else TaskService.setDone(task.id, !task.done)
+                logger.log('Task changed: ' + task.id)
+                push({
+                    url: 'page/tasks/list',
+                })
+            },
+            data_type_config: dataTypeConfig,
+            data_type_config_count: dataTypeConfig.length
+        })
+    }
+})
@@ -0,0 +1,32 @@
+import { createKeyboard, inputType } from '@zos/ui'
+import { push, back } from '@zos/router'
+import { getText } from '@zos/i18n'
+import {log} from '@zos/utils'
+
+const logger = log.getLogger('page/tasks/title.js')
+
+Page ({
+    onInit(){
+        logger.log('Task keyboard init')
+        createKeyboard({
+            inputType: inputType.JSKB,
+            onComplete: (keyboardWidget, result) => {
+                if (result.data.trim() === '') {
+                    logger.log('Empty task title, keyboard closed')
+                    back()
+                    return
+                }
+                logger.log('Task title done: ' + result.data)
+                push({
+                    url: 'page/tasks/due',
+                    params: JSON.stringify({ title: result.data }),
+                })
+            },
+            onCancel: (keyboardWidget, result) => {
+                logger.log('Cancel keyboard input')
+                back()
+            },
+            text: getText('Task')
+        })
+    }
+})
@@ -0,0 +1,84 @@
+import { createModal, MODAL_CONFIRM } from '@zos/interaction'
+import { getText } from '@zos/i18n'
+import { push } from '@zos/router'
+import {log} from '@zos/utils'
+import { eventServise } from './Globals'
+
+const logger = log.getLogger('ConflictDialog')
+
+/**
+ * Maximum number of conflicting events listed in the dialog
+ * @type {number}
+ */
+const MAX_LISTED_CONFLICTS = 3
+
+/**
+ * Shows warning with the list of overlapping events
+ * 
+ * @param {Array<Event>} conflicts - overlapping events
+ * @param {Function} onKeep - called when user keeps event anyway
+ * @param {Function} onChange - called when user goes back to change time
+ * @returns {void}
+ */
+export function showConflictDialog(conflicts, onKeep, onChange) {
+    const listed = conflicts.slice(0, MAX_LISTED_CONFLICTS)
+        .map((ev) => ev.date_period + ' ' + ev.period + ' ' + ev.description)
+    if (conflicts.length > MAX_LISTED_CONFLICTS) listed.push('+' + (conflicts.length - MAX_LISTED_CONFLICTS))
+    const dialog = createModal({
+        content: getText('Overlaps with') + ':\n' + listed.join('\n') + '\n\n✔ ' + getText('Keep anyway') + '\n✖ ' + getText('Change time'),
+        autoHide: false,
+        show: false,
+        onClick: (keyObj) => {
+            dialog.show(false)
+            if (keyObj.type === MODAL_CONFIRM) onKeep()
+            else onChange()
+        },
+    })
+    dialog.show(true)
+}
+
+/**
+ * Creates event and returns to the main page, warns if event overlaps other ones
+ * 
+ * @param {Object} event - new event
+ * @returns {void}
+ */
+export function createEventWithConflictCheck(event) {
+    const toMainPage = () => push({
+        url: 'page/index',
+        params: 'clear'
+    })
+    const conflicts = eventServise.createNewEvent(event)
+    if (conflicts.length == 0) return toMainPage()
+    logger.log('New event overlaps ' + conflicts.length + ' events')
+    showConflictDialog(conflicts, () => {
+        eventServise.createNewEvent(event, true)
+        toMainPage()
+    }, () => push({
+        url: 'page/event/create/start_date',
+        params: JSON.stringify(event)
+    }))
+}
+
+/**
+ * Saves edited event and opens it, warns if changed time overlaps other events
+ * 
+ * @param {Object} event - edited event with field edit_scope
+ * @returns {void}
+ */
+export function editEventWithConflictCheck(event) {
+    const toEventPage = () => push({
+        url: 'page/event',
+        params: JSON.stringify(event)
+    })
+    const conflicts = eventServise.editEvent(event, event.edit_scope)
+    if (conflicts.length == 0) return toEventPage()
+    logger.log('Edited event overlaps ' + conflicts.length + ' events')
+    showConflictDialog(conflicts, () => {
+        eventServise.editEvent(event, event.edit_scope, true)
+        toEventPage()
+    }, () => push({
+        url: 'page/event/edit/start_date',
+        params: JSON.stringify(event)
+    }))
+}
@@ -1,4 +1,8 @@
 export const HOUR_MS = 3600000
+export const MINUTE_MS = 60000
+export const ALL_DAY_RING = { inner_radius: 111, radius: 121 }
+export const EVENT_SECTORS = { inner_radius: ALL_DAY_RING.radius, radius: 235, max_lanes: 3 }
+export const ACTUAL_RING = { inner_radius: 97, radius: 105 }
 
 export const COLORS = [
   0xFF0000,
@@ -194,5 +198,37 @@ export const DATE_TIME_PEACKER = {
     unit_font_size: 5,
     col_width: 45,
 }
-export const REPEAT = ['never', 'day', 'week', 'month']
-export const AUTO_DELETE = ['never', 'day', 'week', 'month']
\ No newline at end of file
+export const WEEK_DAYS_ORDER = [1, 2, 3, 4, 5, 6, 0]
+export const WORK_DAYS = [1, 2, 3, 4, 5]
+export const REPEAT = ['never', 'day', 'week', 'month', 'days', 'month_weekday', 'year']
+export const REPEAT_INTERVAL_UNITS = {
+    day: 'D',
+    week: 'W',
+    days: 'W',
+    month: 'M',
+    month_weekday: 'M',
+    year: 'Y'
+}
+export const WEEKDAY_OF_MONTH = {
+    '1': '1st',
+    '2': '2nd',
+    '3': '3rd',
+    '4': '4th',
+    '-1': 'last'
+}
+export const AUTO_DELETE = ['never', 'day', 'week', 'month']
+export const PRIORITIES = ['low', 'normal', 'high']
+export const PRIORITY_OUTLINE = { width: 4, angle: 1 }
+export const PRIORITY_MARKERS = { low: '⬇️ ', normal: '', high: '❗ ' }
+export const COMPLETION_STATUSES = ['done', 'skipped', 'missed']
+export const SKIPPED_STRIKE_WIDTH = 4
+export const COMPLETION_MARKERS = { done: '✅', skipped: '⏭️', missed: '❌' }
+export const COMPLETION_LABELS = { done: 'Done', skipped: 'Skipped', missed: 'Missed' }
+export const CATEGORY_ICONS = ['', '💼', '🏠', '❤️', '🏃', '📚', '🎉', '✈️']
+export const ARCHIVE_LIMITS = [0, 50, 100, 500]
+export const TRASH_RETENTION_MS = 30 * 24 * HOUR_MS
+export const UNDO_TOAST_MS = 4000
+export const TRACKING_RETENTION_MS = 31 * 24 * HOUR_MS
+export const LOG_DURATIONS_MIN = [15, 30, 60, 120]
+export const STATISTICS_PERIODS = ['week', 'month']
+export const STATISTICS = { radius: 110, hole_radius: 65, busiest_days: 3 }
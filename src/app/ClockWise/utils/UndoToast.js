@@ -0,0 +1,42 @@
+import { createWidget, deleteWidget, widget } from '@zos/ui'
+import { getText } from '@zos/i18n'
+import {log} from '@zos/utils'
+import { styleColors, UNDO_TOAST_MS } from './Constants'
+
+const logger = log.getLogger('UndoToast')
+
+/**
+ * Shows toast with undo button at the bottom of the screen for a few seconds
+ * 
+ * @param {string} text - message of the toast
+ * @param {Function} onUndo - called when user taps the toast
+ * @param {Function} [onHide] - called when toast disappears without undo
+ * @returns {void}
+ */
+export function showUndoToast(text, onUndo, onHide) {
+    let hidden = false
+    const toast = createWidget(widget.BUTTON, {
+        x: 60,
+        y: 370,
+        w: 360,
+        h: 70,
+        radius: 35,
+        normal_color: styleColors.dark_gray,
+        press_color: styleColors.blue_violet,
+        text: text + '  ↶ ' + getText('Undo'),
+        text_size: 28,
+        click_func: () => {
+            if (hidden) return
+            hidden = true
+            deleteWidget(toast)
+            logger.log('Undo: ' + text)
+            onUndo()
+        }
+    })
+    setTimeout(() => {
+        if (hidden) return
+        hidden = true
+        deleteWidget(toast)
+        if (onHide) onHide()
+    }, UNDO_TOAST_MS)
+}
@@ -0,0 +1,41 @@
+/**
+ * Category groups events and gives them common color
+ * 
+ * @class Category
+ * @property {string} id - Unique identifier of the category
+ * @property {string} name - Category name
+ * @property {number} color - Color of events of the category
+ * @property {string} icon - Emoji shown before category name, empty string if not set
+ */
+export class Category {
+    id
+    name
+    color
+    icon = ''
+
+    /**
+     * Creates category from saved data
+     * 
+     * @constructor
+     * @param {Object} category - Category data object
+     * @param {string} category.id - Unique identifier
+     * @param {string} category.name - Category name
+     * @param {number} category.color - Color of events
+     * @param {string} [category.icon] - Emoji of the category
+     */
+    constructor(category){
+        this.id = category.id
+        this.name = category.name
+        this.color = category.color
+        if (category.icon) this.icon = category.icon
+    }
+
+    /**
+     * Returns category name with its icon
+     * 
+     * @returns {string} label like '💼 Work'
+     */
+    getLabel(){
+        return this.icon ? this.icon + ' ' + this.name : this.name
+    }
+}
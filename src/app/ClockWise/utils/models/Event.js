@@ -1,5 +1,5 @@
 import { getText } from '@zos/i18n'
-import { styleColors, WEEK_DAYS } from '../Constants'
+import { COMPLETION_LABELS, COMPLETION_MARKERS, styleColors, WEEK_DAYS } from '../Constants'
 import { HOUR_MS } from '../Constants'
 
 /**
@@ -9,12 +9,33 @@ import { HOUR_MS } from '../Constants'
  * @class Event
  * @property {string} id - Unique identifier of the event
  * @property {string} description - Event description/title
+ * @property {string} notes - Free text notes of the event
+ * @property {string} location - Place of the event
+ * @property {Array<string>} attendees - Names of people taking part in the event
+ * @property {Array<{text: string, done: boolean}>} checklist - Sub-items of the event
  * @property {Date} start - Start date and time of the event
  * @property {Date} end - End date and time of the event
  * @property {string} color - Event color in hex format
- * @property {string} repeat - Repetition type ('never', 'day', 'week', 'month')
+ * @property {string} category - ID of event category, color of the category is used for the event
+ * @property {string} priority - Importance of the event ('low', 'normal', 'high')
+ * @property {string} completion - What happened to the planned event ('done', 'skipped', 'missed'), undefined if not marked
+ * @property {boolean} all_day - Event takes whole days and is drawn as a ring instead of a sector
+ * @property {string} repeat - Repetition type ('never', 'day', 'week', 'month', 'days', 'month_weekday', 'year')
+ * @property {Array<number>} repeat_days - Days of the week for 'days' repetition (0 - Sunday)
+ * @property {number} repeat_interval - Number of periods between repetitions (every N days/weeks/months/years)
+ * @property {boolean} anniversary - Yearly event shows number of years (birthday, anniversary)
+ * @property {number} anniversary_year - Year from which anniversary is counted
+ * @property {string} repeat_until - Date after which repeating event has no occurrences
+ * @property {number} repeat_count - Number of occurrences of repeating event
+ * @property {number} timezone - UTC offset of the zone of event start in minutes
+ * @property {boolean} anchored - Event keeps time of its original zone instead of local time of the watch
+ * @property {Array<number>} skipped - Deleted occurrences of repeating event (wall-clock starts in milliseconds)
+ * @property {Array<Object>} overrides - Changed occurrences of repeating event
+ * @property {number} occurrence - Original start of occurrence in milliseconds (only for occurrences of repeating event)
  * @property {number} startAngle - Start angle for watch face visualization (0-360 degrees)
  * @property {number} endAngle - End angle for watch face visualization (0-360 degrees)
+ * @property {number} lane - Ring of the dial for overlapping events (0 - outer ring)
+ * @property {number} lanes - Number of rings shared by overlapping events
  * @property {string} ago_time - Time elapsed since event ended (deprecated)
  * @property {string} date_period - Formatted date range (DD.MM - DD.MM)
  * @property {string} period - Formatted time range (HH:MM - HH:MM)
@@ -28,12 +49,33 @@ import { HOUR_MS } from '../Constants'
 export class Event {
     id
     description
+    notes
+    location
+    attendees
+    checklist
     start
     end
     color
+    category
+    priority = 'normal'
+    completion
+    all_day
     repeat
+    repeat_days
+    repeat_interval
+    anniversary
+    anniversary_year
+    repeat_until
+    repeat_count
+    timezone
+    anchored
+    skipped
+    overrides
+    occurrence
     startAngle
     endAngle
+    lane = 0
+    lanes = 1
 
     ago_time
     date_period
@@ -52,20 +94,60 @@ export class Event {
      * @param {Object} event - Event data object
      * @param {string} event.id - Event identifier
      * @param {string} event.description - Event description
+     * @param {string} [event.notes] - Free text notes
+     * @param {string} [event.location] - Place of the event
+     * @param {Array<string>} [event.attendees] - Names of people taking part
+     * @param {Array<Object>} [event.checklist] - Sub-items with fields text and done
      * @param {Date|string} event.start - Start date/time
      * @param {Date|string} event.end - End date/time
      * @param {string} event.color - Color code
+     * @param {string} [event.category] - ID of event category
+     * @param {string} [event.priority] - Importance of the event, 'normal' if not set
+     * @param {string} [event.completion] - Completion status set by user
+     * @param {boolean} [event.all_day] - Event takes whole days
      * @param {string} event.repeat - Repetition type
+     * @param {Array<number>} [event.repeat_days] - Days of the week for 'days' repetition
+     * @param {number} [event.repeat_interval] - Number of periods between repetitions
+     * @param {boolean} [event.anniversary] - Show number of years for yearly event
+     * @param {number} [event.anniversary_year] - Year from which anniversary is counted
+     * @param {Date|string} [event.repeat_until] - Date after which repeating event has no occurrences
+     * @param {number} [event.repeat_count] - Number of occurrences of repeating event
+     * @param {number} [event.timezone] - UTC offset of the zone of event start in minutes
+     * @param {boolean} [event.anchored] - Event keeps time of its original zone
+     * @param {Array<number>} [event.skipped] - Deleted occurrences of repeating event
+     * @param {Array<Object>} [event.overrides] - Changed occurrences of repeating event
+     * @param {number} [event.occurrence] - Original start of occurrence
+     * @param {number} [event.lane] - Ring of the dial assigned to overlapping event
+     * @param {number} [event.lanes] - Number of rings shared by overlapping events
      * @param {string} event.check_repeat - Original repeat value
      * @throws {Error} If event data is invalid
      */
     constructor(event){
         this.id = event.id
         this.description = event.description
+        this.notes = event.notes
+        this.location = event.location
+        this.attendees = event.attendees
+        this.checklist = event.checklist
         this.start = new Date(event.start)
         this.end = new Date (event.end)
         this.color = event.color
+        this.category = event.category
+        if (event.priority) this.priority = event.priority
+        this.completion = event.completion
+        this.all_day = event.all_day
         this.repeat = event.repeat
+        this.repeat_days = event.repeat_days
+        this.repeat_interval = event.repeat_interval
+        this.anniversary = event.anniversary
+        this.anniversary_year = event.anniversary_year
+        this.repeat_until = event.repeat_until
+        this.repeat_count = event.repeat_count
+        this.timezone = event.timezone
+        this.anchored = event.anchored
+        this.skipped = event.skipped
+        this.overrides = event.overrides
+        this.occurrence = event.occurrence
         this.check_repeat = event.check_repeat
         this.timePeriod()
         this.eventStatus()
@@ -77,6 +159,10 @@ export class Event {
         const {startAngle, endAngle } = this.#calculateEventAngles(event, new Date())
         this.startAngle = startAngle
         this.endAngle = endAngle
+        if (event.lanes) {
+            this.lane = event.lane
+            this.lanes = event.lanes
+        }
     }
 
     /**
@@ -112,6 +198,11 @@ export class Event {
      * @returns {void}
      */
     durationEvent(){
+        if (this.all_day) {
+            const days = Math.max(1, Math.round((this.end.getTime() - this.start.getTime()) / (24 * HOUR_MS)))
+            this.duration += ' ' + days + ' ' + getText(days > 1 ? 'days' : 'day')
+            return
+        }
         const duration = Event.calculateTimeDifference(this.start, this.end)
         const days = Math.trunc(duration.hours/24)
         const hours = duration.hours % 24
@@ -129,12 +220,16 @@ export class Event {
     getDuration() {return this.duration}
 
     /**
-     * Creates a formatted time period string (HH:MM - HH:MM)
+     * Creates a formatted time period string (HH:MM - HH:MM), "All day" for all-day events
      * 
      * @private
      * @returns {void}
      */
     timePeriod(){
+        if (this.all_day) {
+            this.period = getText('All day')
+            return
+        }
         this.period =  Event.addZero(this.start.getHours().toString()) + ':' +
             Event.addZero(this.start.getMinutes().toString()) + ' - ' +
             Event.addZero(this.end.getHours().toString()) + ':' +
@@ -146,6 +241,7 @@ export class Event {
      * - For future events: "After: X days/hours/minutes"
      * - For past events: "X days/hours/minutes ago"
      * - For current events: "Left: X hours Y minutes"
+     * - For anniversaries the number of years is added: "🎉 10th After: X days"
      * 
      * @private
      * @returns {void}
@@ -187,9 +283,22 @@ export class Event {
             }
             else result += hours + getText('h') + ' ' + minutes + getText('m')
         }
+        const years = this.getAnniversaryYears()
+        if (years > 0) result = '🎉 ' + Event.ordinal(years) + ' ' + result
         this.status = result
     }
 
+    /**
+     * Calculates number of years since anniversary year
+     * 
+     * @public
+     * @returns {number} Number of years, 0 if event is not an anniversary
+     */
+    getAnniversaryYears(){
+        if (!this.anniversary || !this.anniversary_year) return 0
+        return this.start.getFullYear() - this.anniversary_year
+    }
+
     /**
      * Creates a formatted date period string
      * Single day: "DD.MM"
@@ -222,6 +331,28 @@ export class Event {
         }
     }
 
+    /**
+     * Counts done items of the checklist
+     * 
+     * @public
+     * @returns {{done: number, total: number}} number of done and all items, zeros if event has no checklist
+     */
+    getChecklistProgress(){
+        const items = this.checklist || []
+        return { done: items.filter((item) => item.done).length, total: items.length }
+    }
+
+    /**
+     * Calculates the checklist completion level (0-100%)
+     * 
+     * @public
+     * @returns {number} Completion level, 0 if event has no checklist
+     */
+    getChecklistLevel(){
+        const { done, total } = this.getChecklistProgress()
+        return total > 0 ? done / total * 100 : 0
+    }
+
     /**
      * Creates a formatted weekday string
      * Single day: "Monday"
@@ -240,6 +371,17 @@ export class Event {
                         getText(WEEK_DAYS[startWeekDay]) : getText(WEEK_DAYS[startWeekDay]) + ' - ' + getText(WEEK_DAYS[endWeekDay])
     }
 
+    /**
+     * Returns completion status for display
+     * 
+     * @public
+     * @returns {string} status with its marker like "✅ Done", empty string if event is not marked
+     */
+    getCompletionLabel(){
+        if (!COMPLETION_MARKERS[this.completion]) return ''
+        return COMPLETION_MARKERS[this.completion] + ' ' + getText(COMPLETION_LABELS[this.completion])
+    }
+
     /**
      * Returns the current status string
      * 
@@ -309,6 +451,7 @@ export class Event {
      * with time constraints:
      * - Events older than 2 hours start from 2-hour mark
      * - Events ending later than 10 hours are truncated to 10-hour limit
+     * All-day events are not drawn as sectors, their ring segment angles are kept as is
      * 
      * @private
      * @param {Object} event - Event data object
@@ -318,6 +461,7 @@ export class Event {
      * @property {number} endAngle - End angle in degrees
      */
     #calculateEventAngles(event, timeNow) {
+        if (event.all_day) return { startAngle: event.startAngle, endAngle: event.endAngle }
         let startAngle = this.#convertTimeToAngle(event.start);
         let endAngle = this.#convertTimeToAngle(event.end);
         
@@ -368,6 +512,27 @@ export class Event {
         return { hours, minutes };
     }
 
+    /**
+     * Formats number as ordinal for anniversaries
+     * 
+     * @static
+     * @param {number} number - Number to format
+     * @returns {string} Ordinal number
+     * @example
+     * Event.ordinal(1) // "1st"
+     * Event.ordinal(12) // "12th"
+     * Event.ordinal(23) // "23rd"
+     */
+    static ordinal(number){
+        const lastTwo = number % 100
+        const last = number % 10
+        if (lastTwo >= 11 && lastTwo <= 13) return number + getText('th')
+        if (last == 1) return number + getText('st')
+        if (last == 2) return number + getText('nd')
+        if (last == 3) return number + getText('rd')
+        return number + getText('th')
+    }
+
     /**
      * Adds leading zero to single-digit numbers for consistent formatting
      * 
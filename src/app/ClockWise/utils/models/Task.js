@@ -0,0 +1,79 @@
+import { getText } from '@zos/i18n'
+import { Event } from './Event'
+
+/**
+ * Task is a thing to do without start and end time, it can be due by some day
+ * 
+ * @class Task
+ * @property {string} id - Unique identifier of the task
+ * @property {string} title - What has to be done
+ * @property {string} due - Start of the day by which task has to be done, undefined if task has no date
+ * @property {boolean} done - Task is done
+ * @property {number} done_at - Time when task was done in milliseconds
+ * @property {number} created_at - Time when task was created in milliseconds
+ */
+export class Task {
+    id
+    title
+    due
+    done = false
+    done_at
+    created_at
+
+    /**
+     * Creates task from saved data
+     * 
+     * @constructor
+     * @param {Object} task - Task data object
+     * @param {string} task.id - Unique identifier
+     * @param {string} task.title - What has to be done
+     * @param {Date|string} [task.due] - Day by which task has to be done
+     * @param {boolean} [task.done] - Task is done
+     * @param {number} [task.done_at] - Time when task was done
+     * @param {number} [task.created_at] - Time when task was created
+     */
+    constructor(task){
+        this.id = task.id
+        this.title = task.title
+        if (task.due) this.due = new Date(new Date(task.due).setHours(0, 0, 0, 0)).toISOString()
+        this.done = !!task.done
+        this.done_at = task.done_at
+        this.created_at = task.created_at
+    }
+
+    /**
+     * Checks if open task has to be done today: it has no date, is due today or is overdue
+     * 
+     * @public
+     * @param {Date} [now] - current time
+     * @returns {boolean} true if task is open and is for today
+     */
+    isForToday(now = new Date()){
+        if (this.done) return false
+        return !this.due || new Date(this.due) <= now
+    }
+
+    /**
+     * Checks if open task was due before today
+     * 
+     * @public
+     * @param {Date} [now] - current time
+     * @returns {boolean} true if due date has passed
+     */
+    isOverdue(now = new Date()){
+        return !this.done && !!this.due && new Date(this.due).getTime() < new Date(now).setHours(0, 0, 0, 0)
+    }
+
+    /**
+     * Returns due date for display
+     * 
+     * @public
+     * @returns {string} "DD.MM", "Today" or empty string for task without date
+     */
+    getDueLabel(){
+        if (!this.due) return ''
+        const due = new Date(this.due)
+        if (due.getTime() === new Date().setHours(0, 0, 0, 0)) return getText('Today')
+        return Event.addZero(due.getDate()) + '.' + Event.addZero(due.getMonth() + 1)
+    }
+}
@@ -0,0 +1,77 @@
+import { FileService } from './FileService'
+import { ARCHIVE_SCHEMA_VERSION, MigrationService } from './MigrationService'
+import {log} from '@zos/utils'
+
+const logger = log.getLogger('ArchiveService')
+
+/**
+ * Storage of expired events
+ * 
+ * Archive is a separate file, it is read only by the archive page and written only
+ * when events expire, so it doesn't slow down the main page. Events are kept
+ * without empty fields, the oldest ones are dropped when archive is over its limit.
+ * Age is taken from last_end - end of the last occurrence of repeating event,
+ * events archived without it are ordered by their end.
+ */
+export class ArchiveService {
+    /**
+     * Path to archive file
+     * @type {string}
+     */
+    static #archiveFilePath = 'archive'
+
+    /**
+     * Returns archived events, the latest first
+     * 
+     * @returns {Array<Object>} archived events
+     */
+    static getEvents() {
+        try {
+            return MigrationService.migrateArchive(FileService.readJSON(this.#archiveFilePath) ?? []).events
+        } catch (Error) {
+            logger.error(Error, 'Load archive failed')
+            return []
+        }
+    }
+
+    /**
+     * Adds expired events to the archive
+     * 
+     * @param {Array<Object>} events - expired events with field last_end
+     * @param {number} limit - maximum count of events in the archive
+     * @returns {void}
+     * @throws {Error} If archive can't be written
+     */
+    static add(events, limit) {
+        const archived = [...events.map((event) => this.#compact(event)), ...this.getEvents()]
+        const lastEnd = (event) => new Date(event.last_end ?? event.end)
+        archived.sort((a, b) => lastEnd(b) - lastEnd(a))
+        this.#saveEvents(archived.slice(0, limit))
+        logger.log(`Archived: ${events.length}, dropped: ${Math.max(archived.length - limit, 0)}`)
+    }
+
+    /**
+     * Drops the oldest events if archive is over the limit
+     * 
+     * @param {number} limit - maximum count of events in the archive
+     * @returns {void}
+     */
+    static applyLimit(limit) {
+        const archived = this.getEvents()
+        if (archived.length > limit) this.#saveEvents(archived.slice(0, limit))
+    }
+
+    static #compact(event) {
+        let result = {}
+        for (const key of Object.keys(event)) {
+            const value = event[key]
+            if (value === undefined || value === null || (Array.isArray(value) && value.length == 0)) continue
+            result[key] = value
+        }
+        return result
+    }
+
+    static #saveEvents(events) {
+        FileService.writeFile(this.#archiveFilePath, { version: ARCHIVE_SCHEMA_VERSION, events: events })
+    }
+}
@@ -0,0 +1,128 @@
+import { FileService } from './FileService'
+import { CATEGORIES_SCHEMA_VERSION, MigrationService } from './MigrationService'
+import { SettingsService } from './SettingsService'
+import { Category } from '../models/Category'
+import { COLORS } from '../Constants'
+import { getText } from '@zos/i18n'
+import {log} from '@zos/utils'
+
+const logger = log.getLogger('CategoryService')
+
+/**
+ * Categories created on first start, names are translated when they are created
+ * @type {Array<Object>}
+ */
+const DEFAULT_CATEGORIES = [
+    { id: 'work', name: 'Work', color: COLORS[9], icon: '💼' },
+    { id: 'personal', name: 'Personal', color: COLORS[1], icon: '🏠' },
+    { id: 'health', name: 'Health', color: COLORS[0], icon: '❤️' },
+]
+
+export class CategoryService {
+    /**
+     * Path to categories file
+     * @type {string}
+     */
+    static #categoriesFilePath = 'categories'
+    /**
+     * Loaded categories, they are read again only if file was changed
+     * @type {Array<Category>|null}
+     */
+    static #categories = null
+    /**
+     * Categories file state at the moment of the last read
+     * @type {string|null}
+     */
+    static #fileVersion = null
+
+    /**
+     * Returns all categories
+     * 
+     * @returns {Array<Category>} categories in order of creation
+     */
+    static getAll() {
+        const fileVersion = FileService.getFileVersion(this.#categoriesFilePath)
+        if (this.#categories === null || fileVersion !== this.#fileVersion) {
+            this.#categories = this.#load()
+            this.#fileVersion = fileVersion
+        }
+        return [...this.#categories]
+    }
+
+    /**
+     * Returns category by its ID
+     * 
+     * @param {string} id - category ID
+     * @returns {Category|undefined} category or undefined if it doesn't exist
+     */
+    static getById(id) {
+        if (id === undefined) return undefined
+        return this.getAll().find((category) => category.id === id)
+    }
+
+    /**
+     * Creates new category or updates existing one with the same ID
+     * 
+     * @param {Object} category - category data
+     * @param {string} [category.id] - ID of existing category
+     * @param {string} category.name - category name
+     * @param {number} category.color - color of events
+     * @param {string} [category.icon] - emoji of the category
+     * @returns {Category} saved category
+     * @throws {Error} If category is invalid or can't be saved
+     */
+    static save(category) {
+        if (typeof category.name !== 'string' || category.name.trim() === '') {
+            throw new Error('Invalid category name: must be a non-empty string')
+        }
+        if (!Number.isInteger(category.color)) {
+            throw new Error('Invalid category color')
+        }
+        const categories = this.getAll()
+        const saved = new Category({
+            ...category,
+            name: category.name.trim(),
+            id: category.id || Date.now().toString(36) + Math.random().toString(36).substr(2, 9)
+        })
+        const index = categories.findIndex((item) => item.id === saved.id)
+        if (index >= 0) categories[index] = saved
+        else categories.push(saved)
+        this.#save(categories)
+        logger.log('Category saved: ' + saved.id)
+        return saved
+    }
+
+    /**
+     * Deletes category, its events keep their own saved color.
+     * Category is removed from the list filter too, otherwise the filter would hide all events.
+     * 
+     * @param {string} id - category ID
+     * @returns {void}
+     */
+    static delete(id) {
+        this.#save(this.getAll().filter((category) => category.id !== id))
+        const settings = SettingsService.loadSettings()
+        if (settings.filter.categories.includes(id)) {
+            settings.filter.categories = settings.filter.categories.filter((item) => item !== id)
+            SettingsService.saveSettings(settings)
+        }
+        logger.log('Category deleted: ' + id)
+    }
+
+    static #load() {
+        try {
+            const data = FileService.readJSON(this.#categoriesFilePath)
+            if (data === undefined) return DEFAULT_CATEGORIES.map((category) => new Category({ ...category, name: getText(category.name) }))
+            return MigrationService.migrateCategories(data).categories.map((category) => new Category(category))
+        } catch (Error) {
+            logger.error(Error, 'Load categories failed')
+            return []
+        }
+    }
+
+    static #save(categories) {
+        FileService.writeFile(this.#categoriesFilePath, { version: CATEGORIES_SCHEMA_VERSION, categories: categories })
+        this.#categories = categories
+        this.#fileVersion = FileService.getFileVersion(this.#categoriesFilePath)
+    }
+}
@@ -0,0 +1,107 @@
+import { FileService } from './FileService'
+import { EVENTS_SCHEMA_VERSION, MigrationService } from './MigrationService'
+import {log} from '@zos/utils'
+
+const logger = log.getLogger('EventRepository')
+
+/**
+ * In-memory storage of saved events
+ * 
+ * Events file is read and parsed once and kept in memory. Changes are written to the file
+ * only when the list really differs from the saved one. File is read again
+ * only if it was changed by another page (its size or modification time differs).
+ * File keeps events under versioned header, old files are upgraded on load (see MigrationService).
+ * 
+ * @class EventRepository
+ * @property {string} path - path to the events file
+ */
+export class EventRepository {
+    path
+    /**
+     * Saved events, null until the file is loaded
+     * @type {Array<Object>|null}
+     */
+    #events = null
+    /**
+     * Saved events as JSON text, it is compared with new list to skip writing of the same events
+     * @type {string|null}
+     */
+    #content = null
+    /**
+     * Events file state at the moment of the last read or write
+     * @type {string|null}
+     */
+    #fileVersion = null
+
+    /**
+     * @param {string} path - path to the events file
+     */
+    constructor(path){
+        this.path = path
+    }
+
+    /**
+     * Returns copies of saved events, changes of their fields don't affect the cache
+     * 
+     * Events are copied shallowly, their lists (skipped, overrides, checklist)
+     * must be replaced, not changed in place
+     * 
+     * @returns {Array<Object>} saved events
+     * @throws {Error} If events file was written by newer version of the application or it and its backup are broken
+     */
+    getAll(){
+        if (this.#events === null || this.#fileVersion !== FileService.getFileVersion(this.path)) {
+            this.#load()
+        }
+        return this.#events.map((event) => ({ ...event }))
+    }
+
+    /**
+     * Replaces saved events and writes them to the file if the list was changed
+     * 
+     * @param {Array<Object>} events - new list of events
+     * @returns {boolean} true if the list was changed
+     * @throws {Error} If events file can't be written, has newer schema or can't be read
+     */
+    replaceAll(events){
+        // File of newer schema must not be overwritten, loading it throws
+        if (this.#events === null) this.#load()
+        const content = JSON.stringify(events)
+        if (content === this.#content) {
+            logger.log('Events are not changed, write skipped')
+            return false
+        }
+        FileService.writeFile(this.path, { version: EVENTS_SCHEMA_VERSION, events: events })
+        this.#content = content
+        this.#events = JSON.parse(content)
+        this.#fileVersion = FileService.getFileVersion(this.path)
+        return true
+    }
+
+    /**
+     * Drops cached events, they will be read from the file on next access
+     * 
+     * @returns {void}
+     */
+    invalidate(){
+        this.#events = null
+        this.#content = null
+        this.#fileVersion = null
+    }
+
+    #load(){
+        logger.log('Loading events to cache...')
+        let data = []
+        try {
+            data = FileService.readJSON(this.path) ?? []
+        } catch (error) {
+            // Cache stays empty, so broken file is never overwritten and kept for recovery
+            logger.error(error, 'Events file and its backup are broken')
+            throw error
+        }
+        // Version is taken after reading, file could be restored from backup
+        this.#fileVersion = FileService.getFileVersion(this.path)
+        this.#events = MigrationService.migrateEvents(data).events
+        this.#content = JSON.stringify(this.#events)
+    }
+}
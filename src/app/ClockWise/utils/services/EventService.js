@@ -1,28 +1,83 @@
 import {log} from '@zos/utils'
 import { FileService } from './FileService'
+import { EventRepository } from './EventRepository'
+import { TrashService } from './TrashService'
+import { ArchiveService } from './ArchiveService'
 import { SettingsService } from './SettingsService'
+import { CategoryService } from './CategoryService'
 import { Event } from '../models/Event'
-import { HOUR_MS, REPEAT } from '../Constants'
+import { ALL_DAY_RING, EVENT_SECTORS, HOUR_MS, MINUTE_MS, PRIORITIES, REPEAT, WEEK_DAYS_ORDER } from '../Constants'
 
 const logger = log.getLogger('EventService')
 
+/**
+ * Fields of repeating event which can be changed for a single occurrence
+ * @type {Array<string>}
+ */
+const OCCURRENCE_FIELDS = ['description', 'start', 'end', 'color', 'category', 'priority', 'notes', 'location', 'attendees', 'checklist', 'completion']
+
+/**
+ * Fields of event which define its time, only their change is checked for conflicts on edit
+ * @type {Array<string>}
+ */
+const TIME_FIELDS = ['start', 'end', 'all_day', 'repeat', 'repeat_days', 'repeat_interval', 'repeat_until', 'repeat_count']
+
+/**
+ * Period in which occurrences of repeating events are checked for conflicts
+ * @type {number}
+ */
+const CONFLICT_PERIOD_MS = 28 * 24 * HOUR_MS
+
+/**
+ * Text fields of event which are matched by search, list fields are matched by each item
+ * @type {Array<string>}
+ */
+const SEARCH_FIELDS = ['description', 'notes', 'location', 'attendees']
+
+/**
+ * Periods before and after now in which occurrences of repeating events are searched
+ * @type {{past: number, future: number}}
+ */
+const SEARCH_PERIOD_MS = { past: 31 * 24 * HOUR_MS, future: 92 * 24 * HOUR_MS }
+
+/**
+ * Fields of actual events written for the watch face: dial sectors and the next event label
+ * @type {Array<string>}
+ */
+const WATCHFACE_FIELDS = ['id', 'description', 'status', 'start', 'end', 'color', 'startAngle', 'endAngle', 'lane', 'lanes', 'all_day', 'priority', 'completion']
+
 export class EventService {
     eventsFilePath = 'events'
     actualEvents = []
+    /**
+     * Cached saved events, the file is written only on real changes
+     * @type {EventRepository}
+     */
+    #repository = new EventRepository(this.eventsFilePath)
+    /**
+     * Last content written to the actual events file of the watch face
+     * @type {string|null}
+     */
+    #writtenActualEvents = null
 
     constructor(){}
 
     getActualEvents(){
         this.#autoDeleteEvents()
         this.#uploadActualEvents()
-        FileService.writeFile('actual_events', this.#convertToEvent())
+        const actualEvents = this.#convertToEvent()
+        const content = JSON.stringify(actualEvents)
+        if (content !== this.#writtenActualEvents) {
+            FileService.writeFile('actual_events', actualEvents)
+            this.#writtenActualEvents = content
+        }
         return this.actualEvents
     }
     
     /**
      * Method for clearing event history
      * 
-     * Deletes all saved events by overwriting the events file with an empty array.
+     * Moves all saved events to the trash and overwrites the events file with an empty array.
      * 
      * @function clearHistoryOfEvents
      * @throws {Error} Throws error if history clearing fails
@@ -36,17 +91,19 @@ export class EventService {
      *     console.error('Error clearing history:', error);
      * }
      * 
-     * @returns {void} Method doesn't return a value
+     * @returns {Array<string>} IDs of trash items, they are used to undo clearing
      * 
-     * @see FileService.writeFile - method for writing to file
+     * @see EventRepository.replaceAll - method for writing events to file
      * @see logger.log - method for logging successful operations
      * @see logger.error - method for logging errors
      */
     clearHistoryOfEvents(){
         logger.log('Delete events history init...')
         try{
+            const trashIds = TrashService.add(this.#loadEvents().map((ev) => ({ event: ev })))
             this.#saveEvents([])
             logger.log('Clear history successfull')
+            return trashIds
         } catch(Error){
             logger.error(Error , 'Clear history failed')
             throw new Error('Clear history failed')
@@ -65,30 +122,51 @@ export class EventService {
      * 
      * @public
      * @param {Event} event - new event object
-     * @returns {void}
+     * @param {boolean} [keepConflicts=false] - save event even if it overlaps other events
+     * @returns {Array<Event>} overlapping events, event is not saved if the list is not empty
      * 
      * @description
      * Method is intended for adding new events to the calendar.
-     * Before saving, the event is validated and receives a unique ID.
+     * Before saving, the event is validated, checked for conflicts and receives a unique ID.
      * 
      * @throws {Error} In case of errors when creating event
      */
-    createNewEvent(event) {
+    createNewEvent(event, keepConflicts = false) {
         logger.log('Creating new event...');
         try {
             this.#checkEventFields(event);
+            if (!keepConflicts) {
+                const conflicts = this.findConflicts(event)
+                if (conflicts.length > 0) {
+                    logger.log(`New event is not created, conflicts: ${conflicts.length}`);
+                    return conflicts
+                }
+            }
+            this.#setTimezone(event)
             let result = this.#loadEvents();
             this.#generateEventId(event, result);
             result.push(event);
             this.#saveEvents(result);
             this.#uploadActualEvents()
             logger.log('New event created successfully');
+            return []
         } catch (error) {
             logger.error(error, 'Create new event failed');
             throw error;
         }
     }
 
+    /**
+     * Returns saved event by its ID
+     * 
+     * @public
+     * @param {string} id - unique event identifier
+     * @returns {Object|undefined} saved event (for repeating events - the whole series)
+     */
+    getEventById(id) {
+        return this.#loadEvents().find((ev) => ev.id === id)
+    }
+
     /**
      * Edits an existing event in the list
      * 
@@ -96,25 +174,41 @@ export class EventService {
      * 
      * @public
      * @param {Event} event - event object with updated data
-     * @returns {void}
+     * @param {string} [scope='series'] - 'series' - replace the whole event,
+     *  'occurrence' - change only one occurrence of repeating event,
+     *  'following' - change occurrence and all following ones (see splitEvent)
+     * @param {boolean} [keepConflicts=false] - save event even if changed time overlaps other events
+     * @returns {Array<Event>} overlapping events, event is not saved if the list is not empty
      * 
      * @description
      * Method performs the following actions:
      * 1. Loads current events from file
      * 2. Iterates through event list
-     * 3. Replaces event with matching ID with the new one
+     * 3. Replaces event with matching ID with the new one,
+     *    or saves changed occurrence to overrides of the series
      * 4. Saves updated list
      * 
+     * Changing start of the series drops its skipped and overridden occurrences,
+     * because they are bound to the old occurrence dates
+     * 
      * @throws {Error} In case of errors when working with files
      */
-    editEvent(event) {
+    editEvent(event, scope = 'series', keepConflicts = false) {
+        if (!keepConflicts) {
+            const conflicts = this.#getEditConflicts(event, scope)
+            if (conflicts.length > 0) {
+                logger.log(`Event is not edited, conflicts: ${conflicts.length}`);
+                return conflicts
+            }
+        }
+        if (scope === 'following') return this.splitEvent(event, keepConflicts)
         logger.log('Edit event started...');
         try {
             const loadedEvents = this.#loadEvents();
             let result = [];
             for (const ev of loadedEvents) {
                 if (this.#checkEventFields(ev) && event.id === ev.id) {
-                    result.push(event);
+                    result.push(scope === 'occurrence' ? this.#overrideOccurrence(ev, event) : this.#toSeries(ev, event));
                 } else {
                     result.push(ev);
                 }
@@ -122,67 +216,412 @@ export class EventService {
             this.#saveEvents(result);
             this.#uploadActualEvents()
             logger.log('Event edited successfully');
+            return []
         } catch (error) {
             logger.error(error, 'Edit event failed');
             throw error;
         }
     }
 
+    /**
+     * Finds events overlapping with the specified one
+     * 
+     * @public
+     * @param {Object} event - new or edited event
+     * @returns {Array<Event>} overlapping events and occurrences sorted by start
+     * 
+     * @description
+     * Repeating events are expanded to occurrences, for repeating candidate
+     * the check covers CONFLICT_PERIOD_MS from its start (or from now for started series).
+     * Events with the same ID and all-day events are not conflicts,
+     * because all-day events are not drawn as sectors.
+     */
+    findConflicts(event) {
+        if (event.all_day) return []
+        const repeating = event.repeat && event.repeat != 'never'
+        const periodStart = repeating ? Math.max(new Date(event.start).getTime(), Date.now()) : new Date(event.start).getTime()
+        const period = {
+            start: new Date(periodStart),
+            end: new Date(repeating ? periodStart + CONFLICT_PERIOD_MS : new Date(event.end).getTime())
+        }
+        let candidates = []
+        if (repeating) this.#repeateRule(new Event(event), period, candidates)
+        else candidates.push(new Event(event))
+        let others = []
+        for (const ev of this.#loadEvents()) {
+            if (ev.id === event.id || ev.all_day) continue
+            if (ev.repeat && ev.repeat != 'never') this.#repeateRule(new Event(ev), period, others)
+            else if (new Date(ev.start) < period.end && new Date(ev.end) > period.start) others.push(new Event(ev))
+        }
+        const overlaps = (a, b) => a.start < b.end && b.start < a.end
+        return others
+            .filter((other) => candidates.some((candidate) => overlaps(candidate, other)))
+            .sort((a, b) => a.start - b.start)
+    }
+
+    /**
+     * Finds conflicts of edited event, if its time was changed
+     * 
+     * @private
+     * @param {Object} event - edited event
+     * @param {string} scope - scope of editing (see editEvent)
+     * @returns {Array<Event>} overlapping events
+     * 
+     * @description
+     * Edits of description or color do not warn about conflicts, which the event already had.
+     * Edited occurrence is checked as a single event, its time is compared with the saved
+     * override if the occurrence was already moved.
+     */
+    #getEditConflicts(event, scope) {
+        const saved = this.getEventById(event.id)
+        if (!saved) return []
+        let original = saved
+        if (scope !== 'series') {
+            const key = this.#getOccurrenceKey(saved, event.occurrence)
+            const override = (saved.overrides || []).find((item) => item.occurrence === key)
+            original = {
+                ...saved,
+                start: override ? override.start : new Date(event.occurrence).toISOString(),
+                end: override ? override.end : new Date(event.occurrence + new Date(saved.end).getTime() - new Date(saved.start).getTime()).toISOString()
+            }
+        }
+        const sameValue = (a, b) => JSON.stringify(a) === JSON.stringify(b) ||
+            (a !== undefined && b !== undefined && new Date(a).getTime() === new Date(b).getTime())
+        const edited = scope === 'occurrence' ? { ...event, repeat: saved.repeat } : event
+        if (TIME_FIELDS.every((field) => sameValue(original[field], edited[field]))) return []
+        return this.findConflicts(scope === 'occurrence' ? { ...event, repeat: 'never' } : event)
+    }
+
+    /**
+     * Splits repeating event into two series at the specified occurrence
+     * 
+     * Method ends the original series before the edited occurrence and creates
+     * new series from the edited occurrence with its fields
+     * 
+     * @public
+     * @param {Object} event - edited occurrence with fields id, occurrence and repetition rule
+     * @param {boolean} [keepConflicts=false] - passed to editEvent if the whole series is edited
+     * @returns {Array<Event>} overlapping events, the series is not changed if the list is not empty
+     * 
+     * @description
+     * Method performs the following actions:
+     * 1. Sets repeat_until of the original series right before the occurrence
+     * 2. Moves skipped and overridden occurrences after the split to the new series,
+     *    if the new series keeps the same start, otherwise drops them
+     * 3. Creates new series with the same end of repetition as the original one,
+     *    inherited repeat_count is replaced with the date of the last occurrence,
+     *    shifted by the same time as the edited occurrence
+     * 
+     * If the occurrence is the first one, the whole series is edited
+     * 
+     * @throws {Error} In case of errors when working with files
+     */
+    splitEvent(event, keepConflicts = false) {
+        logger.log('Split event started...');
+        try {
+            const loadedEvents = this.#loadEvents();
+            const series = loadedEvents.find((ev) => ev.id === event.id)
+            if (!series) throw new Error('Event for split not found')
+            const splitTime = event.occurrence
+            const splitKey = this.#getOccurrenceKey(series, splitTime)
+            if (splitTime <= new Date(series.start).getTime()) {
+                return this.editEvent({ ...series, ...event, occurrence: undefined }, 'series', keepConflicts)
+            }
+            const keepExceptions = new Date(event.start).getTime() === splitTime
+            let following = { ...series, ...event }
+            delete following.edit_scope
+            delete following.occurrence
+            following.id = undefined
+            following.skipped = keepExceptions ? (series.skipped || []).filter((item) => item >= splitKey) : []
+            following.overrides = keepExceptions ? (series.overrides || []).filter((item) => item.occurrence >= splitKey) : []
+            if (series.repeat_count && following.repeat_count === series.repeat_count) {
+                // Last occurrence is moved together with the edited one, otherwise moving later drops it
+                const shift = new Date(event.start).getTime() - splitTime
+                following.repeat_count = undefined
+                following.repeat_until = new Date(this.#getLastStart(series) + shift).toISOString()
+            }
+            this.#checkEventFields(following)
+            this.#setTimezone(following)
+
+            let result = []
+            for (const ev of loadedEvents) {
+                if (ev.id !== series.id) {
+                    result.push(ev)
+                    continue
+                }
+                result.push({
+                    ...series,
+                    repeat_until: new Date(splitTime - 1).toISOString(),
+                    skipped: (series.skipped || []).filter((item) => item < splitKey),
+                    overrides: (series.overrides || []).filter((item) => item.occurrence < splitKey)
+                })
+            }
+            this.#generateEventId(following, result)
+            result.push(following)
+            this.#saveEvents(result);
+            this.#uploadActualEvents()
+            logger.log('Event split successfully, new series: ' + following.id);
+            return []
+        } catch (error) {
+            logger.error(error, 'Split event failed');
+            throw error;
+        }
+    }
+
     /**
      * Deletes event by its ID
      * 
-     * Method finds event with specified ID and removes it from the list
+     * Method finds event with specified ID, removes it from the list and moves it to the trash
      * 
      * @public
      * @param {number} id - unique event identifier for deletion
-     * @returns {void}
+     * @param {number} [occurrence] - original start of occurrence in milliseconds,
+     *  if set only this occurrence of repeating event is deleted
+     * @returns {string|undefined} ID of trash item, it is used to undo deletion
      * 
      * @description
      * Method performs the following actions:
      * 1. Loads all events from file
-     * 2. Filters events, keeping only those whose ID doesn't match the provided one
-     * 3. Saves updated list
-     * 4. Updates list of actual events
+     * 2. Filters events, keeping only those whose ID doesn't match the provided one,
+     *    or adds occurrence to skipped dates of the series
+     * 3. Moves deleted event or occurrence to the trash
+     * 4. Saves updated list
+     * 5. Updates list of actual events
      * 
      * @throws {Error} In case of errors when deleting event
      */
-    deleteEvent(id) {
+    deleteEvent(id, occurrence) {
         try {
-            logger.log(`Deleting event with ID: ${id}`);
+            logger.log(`Deleting event with ID: ${id}` + (occurrence !== undefined ? `, occurrence: ${occurrence}` : ''));
             const loadedEvents = this.#loadEvents();
             const result = [];
+            let trashItem
             for (const ev of loadedEvents) {
                 if (this.#checkEventFields(ev) && ev.id !== id) {
                     result.push(ev);
                 }
+                else if (occurrence !== undefined && ev.id === id) {
+                    result.push(this.#skipOccurrence(ev, occurrence));
+                    trashItem = this.#occurrenceTrashItem(ev, occurrence)
+                }
+                else if (ev.id === id) {
+                    trashItem = { event: ev }
+                }
             }
+            const [trashId] = trashItem ? TrashService.add([trashItem]) : []
             this.#saveEvents(result);
             this.#uploadActualEvents();
             logger.log('Event deleted successfully');
-            return result
+            return trashId
         } catch (error) {
             logger.error(error, `Failed to delete event with ID: ${id}`);
             throw error;
         }
     }
 
-    getWeekListOfEvents(date){
+    /**
+     * Restores deleted events from the trash
+     * 
+     * Whole events are added back if there is no event with the same ID.
+     * Deleted occurrences are returned to their series, if the series still exists.
+     * 
+     * @public
+     * @param {Array<string>} trashIds - IDs of trash items
+     * @returns {number} count of restored items
+     * @throws {Error} In case of errors when saving events
+     */
+    restoreFromTrash(trashIds) {
+        try {
+            const items = TrashService.remove(trashIds)
+            let events = this.#loadEvents()
+            let restored = 0
+            for (const item of items) {
+                const saved = events.find((ev) => ev.id === item.event.id)
+                if (item.occurrence === undefined && !saved) {
+                    events.push(item.event)
+                    restored++
+                }
+                else if (item.occurrence !== undefined && saved) {
+                    const overrides = (saved.overrides || []).filter((override) => override.occurrence !== item.occurrence)
+                    if (item.override) overrides.push(item.override)
+                    events = events.map((ev) => ev !== saved ? ev : {
+                        ...saved,
+                        skipped: (saved.skipped || []).filter((key) => key !== item.occurrence),
+                        overrides: overrides
+                    })
+                    restored++
+                }
+                else logger.log('Trash item is not restored, event is changed: ' + item.id)
+            }
+            this.#saveEvents(events)
+            this.#uploadActualEvents()
+            logger.log(`Restored from trash: ${restored}`)
+            return restored
+        } catch (error) {
+            logger.error(error, 'Restore from trash failed');
+            throw error;
+        }
+    }
+
+    /**
+     * Makes trash item for deleted occurrence of repeating event
+     * 
+     * @private
+     * @param {Object} series - saved repeating event
+     * @param {number} occurrence - original start of occurrence in milliseconds
+     * @returns {Object} trash item with the occurrence as event
+     */
+    #occurrenceTrashItem(series, occurrence) {
+        const key = this.#getOccurrenceKey(series, occurrence)
+        const override = (series.overrides || []).find((item) => item.occurrence === key)
+        const duration = new Date(series.end) - new Date(series.start)
+        const event = override
+            ? { ...series, ...override, repeat: 'never' }
+            : { ...series, start: new Date(occurrence), end: new Date(occurrence + duration), repeat: 'never' }
+        delete event.skipped
+        delete event.overrides
+        delete event.occurrence
+        return { event: event, occurrence: key, override: override }
+    }
+
+    /**
+     * Prepares edited event for saving as the whole series
+     * 
+     * @private
+     * @param {Object} saved - currently saved event
+     * @param {Object} event - edited event
+     * @returns {Object} event for saving
+     */
+    #toSeries(saved, event) {
+        let result = { ...event }
+        delete result.edit_scope
+        delete result.occurrence
+        this.#setTimezone(result)
+        if (new Date(saved.start).getTime() !== new Date(result.start).getTime()) {
+            result.skipped = []
+            result.overrides = []
+        }
+        return result
+    }
+
+    /**
+     * Saves edited occurrence to overrides of the series
+     * 
+     * @private
+     * @param {Object} series - saved repeating event
+     * @param {Object} event - edited occurrence with field occurrence
+     * @returns {Object} series with updated overrides
+     */
+    #overrideOccurrence(series, event) {
+        const key = this.#getOccurrenceKey(series, event.occurrence)
+        let override = { occurrence: key, timezone: EventService.getUtcOffset(event.start) }
+        for (const field of OCCURRENCE_FIELDS) override[field] = event[field]
+        const overrides = (series.overrides || []).filter((item) => item.occurrence !== key)
+        overrides.push(override)
+        return { ...series, overrides: overrides }
+    }
+
+    /**
+     * Adds occurrence to skipped dates of the series
+     * 
+     * @private
+     * @param {Object} series - saved repeating event
+     * @param {number} occurrence - original start of occurrence in milliseconds
+     * @returns {Object} series with updated skipped dates
+     */
+    #skipOccurrence(series, occurrence) {
+        const key = this.#getOccurrenceKey(series, occurrence)
+        const skipped = (series.skipped || []).filter((item) => item !== key)
+        skipped.push(key)
+        return {
+            ...series,
+            skipped: skipped,
+            overrides: (series.overrides || []).filter((item) => item.occurrence !== key)
+        }
+    }
+
+    /**
+     * Returns events and occurrences of the week
+     * 
+     * @public
+     * @param {Date} date - any date of the week
+     * @param {Object} [filter] - shown categories and colors from settings, all events are returned without it
+     * @returns {Array<Event>} events of the week sorted by start
+     */
+    getWeekListOfEvents(date, filter){
+        // Occurrences are filtered separately, they can have own category
+        const resultList = this.getEventsOfPeriod(EventService.getWeekRange(date)).filter((ev) => EventService.matchesFilter(ev, filter))
+        for (const i of resultList) console.log('resultList ' + JSON.stringify(i))
+        return resultList
+    }
+
+    /**
+     * Returns events and occurrences of repeating events which overlap the period
+     * 
+     * @public
+     * @param {{start: Date, end: Date}} period - checked period
+     * @param {boolean} [withArchive=false] - expired events from the archive are added too
+     * @returns {Array<Event>} events sorted by start
+     */
+    getEventsOfPeriod(period, withArchive = false){
         this.#autoDeleteEvents()
-        const week = EventService.getWeekRange(date)
-        const loadedEvents = this.#loadEvents()
+        let loadedEvents = this.#loadEvents()
+        if (withArchive) {
+            // Archived events are taken as saved, the same way as the current ones
+            const categories = CategoryService.getAll()
+            loadedEvents = [...loadedEvents, ...ArchiveService.getEvents().map((ev) => this.#applyCategory(this.#toLocalTime(ev), categories))]
+        }
         let resultList = []
         for (const ev of loadedEvents){
             ev.check_repeat = ev.repeat
             if (ev.repeat != 'never') {
-                this.#repeateRule(new Event(ev), week, resultList)
+                this.#repeateRule(new Event(ev), period, resultList)
             }
             else {
-                if (new Date(ev.start) <= week.end && new Date(ev.end) >= week.start)
+                if (new Date(ev.start) <= period.end && new Date(ev.end) >= period.start)
                     resultList.push(new Event(ev))
             }
         }
         resultList.sort((a, b) => new Date(a.start) - new Date(b.start));
-        for (const i of resultList) console.log('resultList ' + JSON.stringify(i))
+        return resultList
+    }
+
+    /**
+     * Finds events whose text fields or name of category contain the query, case-insensitive
+     * 
+     * Single events are found at any time, repeating events are expanded
+     * to occurrences from a month ago to three months ahead.
+     * 
+     * @public
+     * @param {string} query - text to find
+     * @returns {Array<Event>} found events and occurrences sorted by start
+     * 
+     * @example
+     * eventServise.searchEvents('dent') // [Event {description: 'Dentist', ...}]
+     */
+    searchEvents(query) {
+        const text = query.trim().toLowerCase()
+        if (text === '') return []
+        const matchesText = (value) => typeof value === 'string' && value.toLowerCase().includes(text)
+        // Category is matched by its current name, occurrences can have own category
+        const categories = CategoryService.getAll().filter((category) => matchesText(category.name)).map((category) => category.id)
+        const matches = (ev) => categories.includes(ev.category) ||
+            SEARCH_FIELDS.some((field) => Array.isArray(ev[field]) ? ev[field].some(matchesText) : matchesText(ev[field]))
+        const now = Date.now()
+        const period = { start: new Date(now - SEARCH_PERIOD_MS.past), end: new Date(now + SEARCH_PERIOD_MS.future) }
+        let resultList = []
+        for (const ev of this.#loadEvents()) {
+            ev.check_repeat = ev.repeat
+            if (ev.repeat != 'never') {
+                let occurrences = []
+                this.#repeateRule(new Event(ev), period, occurrences)
+                // Changed occurrences can have their own text fields
+                resultList.push(...occurrences.filter(matches))
+            }
+            else if (matches(ev)) resultList.push(new Event(ev))
+        }
+        resultList.sort((a, b) => new Date(a.start) - new Date(b.start))
+        logger.log(`Search "${query}": found ${resultList.length}`)
         return resultList
     }
 
@@ -199,7 +638,8 @@ export class EventService {
      * 1. Loads auto-delete settings
      * 2. Loads all events
      * 3. Filters events by deletion conditions
-     * 4. Saves filtered list
+     * 4. Moves expired events to the archive, unless archive limit is 0
+     * 5. Saves filtered list
      * 
      * @throws {Error} In case of errors when processing events
      */
@@ -207,17 +647,33 @@ export class EventService {
         try {
             let countOfdeleted = 0
             logger.log('Starting auto-delete process...');
-            const autoDelete = SettingsService.loadSettings().autoDelete;
+            const { autoDelete, archiveLimit } = SettingsService.loadSettings();
             const loadedEvents = this.#loadEvents();
             const deleteFilterDone = [];
+            const expired = [];
             for (const ev of loadedEvents) {
                 if (this.#checkEventFields(ev) && !this.#deleteFilter(ev, autoDelete)) {
                     deleteFilterDone.push(ev);
                 }
-                else countOfdeleted++
+                else {
+                    expired.push(ev)
+                    countOfdeleted++
+                }
+            }
+            if (countOfdeleted > 0) {
+                // Archive is written before events, so expired events are not lost on failure
+                // Archive is ordered by the end of the last occurrence, so finished series are kept as recent
+                if (archiveLimit > 0 && expired.length > 0) {
+                    const lastEnd = (ev) => {
+                        // Broken events are archived too, they keep their own end
+                        const end = this.#getLastEnd(ev)
+                        return end && !isNaN(end.getTime()) ? end.toISOString() : ev.end
+                    }
+                    ArchiveService.add(expired.map((ev) => ({ ...ev, last_end: lastEnd(ev) })), archiveLimit)
+                }
+                this.#saveEvents(deleteFilterDone);
             }
-            this.#saveEvents(deleteFilterDone);
-            logger.log(`Auto-delete process completed. ${countOfdeleted} events deleted`);
+            logger.log(`Auto-delete process completed. ${countOfdeleted} events deleted, ${archiveLimit > 0 ? expired.length : 0} archived`);
         } catch (error) {
             logger.error(error, 'Auto-delete events failed');
             throw error;
@@ -235,8 +691,8 @@ export class EventService {
      * @description
      * Method performs the following actions:
      * 1. Loads all events from file
-     * 2. Filters events by relevance
-     * 3. Adds display angles for each event
+     * 2. Filters events by relevance and by the list filter if it is applied to the dial
+     * 3. Adds display angles for each event, all-day events share the ring around the centre
      * 4. Saves actual events to actualEvents array
      * 
      * @throws {Error} In case of errors when processing events
@@ -245,6 +701,7 @@ export class EventService {
         try {
             logger.log('Loading actual events...');
             this.actualEvents = []
+            const { filter } = SettingsService.loadSettings();
             const loadedEvents = this.#loadEvents();
             const start = new Date().getTime() - 2 * HOUR_MS
             const end = new Date().getTime() + 10 * HOUR_MS
@@ -257,12 +714,16 @@ export class EventService {
                     let repeatedEventsList = []
                     this.#repeateRule(ev, {start: new Date(start), end: new Date(end)}, repeatedEventsList)
                     repeatedEventsList.forEach((item) => {
-                        if (this.#checkEventFields(item) && this.#actualEventsFilter(item))
+                        if (this.#checkEventFields(item) && this.#actualEventsFilter(item)) {
                             this.#addAnglesToEvent(item)
                             this.actualEvents.push(item)
+                        }
                     })
                 }
             }
+            if (filter.dial) this.actualEvents = this.actualEvents.filter((ev) => EventService.matchesFilter(ev, filter))
+            this.#addAllDayRingAngles(this.actualEvents.filter((ev) => ev.all_day))
+            this.#assignLanes(this.actualEvents.filter((ev) => !ev.all_day))
             logger.log(`Actual events loaded successfully. Count of uploaded = ${this.actualEvents.length}`);
         } catch (error) {
             logger.error(error, 'Failed to load actual events');
@@ -284,11 +745,13 @@ export class EventService {
      * 1. Event starts no later than in 10 hours and no earlier than current moment
      * 2. Event ended no more than 2 hours ago
      * 3. Event is happening right now (current time is between start and end)
+     * All-day events are relevant only while they are happening.
      */
     #actualEventsFilter(event) {
         const now = new Date();
         const startEv = new Date(event.start);
         const endEv = new Date(event.end);
+        if (event.all_day) return now >= startEv && now <= endEv
         return (
             // Event starts within next 10 hours and not before current moment
             ((startEv.getTime() - now.getTime()) <= (10 * HOUR_MS) && startEv >= now) ||
@@ -300,12 +763,24 @@ export class EventService {
     }
 
 
+    /**
+     * Prepares actual events for the watch face file
+     * 
+     * @private
+     * @returns {Array<Object>} records with fields of WATCHFACE_FIELDS
+     * 
+     * @description
+     * Watch face reads the whole file into memory, so only fields it draws are written
+     */
     #convertToEvent(){
-        let result = []
-        this.actualEvents.forEach((item)=>{
-            result.push(new Event(item))
+        return this.actualEvents.map((item) => {
+            const event = new Event(item)
+            let record = {}
+            for (const field of WATCHFACE_FIELDS) {
+                if (event[field] !== undefined) record[field] = event[field]
+            }
+            return record
         })
-        return result
     }
 
 
@@ -319,15 +794,16 @@ export class EventService {
      * 
      * @description
      * Method checks if event should be automatically deleted based on:
-     * - presence of event repetition
+     * - presence of event repetition, endless repeating events are never deleted
      * - auto-delete settings
      * - difference between current date and event end date
+     *   (end of the last occurrence for repeating events)
      */
     #deleteFilter(event, autoDelete) {
-        if (event.repeat && event.repeat != 'never') return false;
         let result = false;
         const now = new Date();
-        const end = new Date(event.end);
+        const end = this.#getLastEnd(event)
+        if (end === null) return false;
         if (autoDelete === 'day') {
             // Deletion 24 hours after end
             if (now > end && (now.getTime() - end.getTime()) > HOUR_MS * 24) {
@@ -353,7 +829,8 @@ export class EventService {
     /**
      * Method for loading events from file
      * 
-     * Loads saved events from specified file in JSON format.
+     * Loads saved events from the repository cache, the file is read only once
+     * or after it was changed outside of this service.
      * Handles possible errors when reading file or parsing data.
      * 
      * @function loadEvents
@@ -372,20 +849,39 @@ export class EventService {
      *     console.error('Error loading events:', error);
      * }
      * 
-     * @see FileService.readFile - method for reading file
-     * @see JSON.parse - method for parsing JSON data
+     * @see EventRepository.getAll - method for reading cached events
      */
     #loadEvents(){
         try {
-           const fileContent = FileService.readFile(this.eventsFilePath)
-            if (!fileContent) return []
-            return JSON.parse(fileContent)
+            const categories = CategoryService.getAll()
+            return this.#repository.getAll().map((ev) => this.#applyCategory(this.#toLocalTime(ev), categories))
         } catch (Error) {
             logger.error(Error, 'Upload events failed')
             return []
         }
     }
 
+    /**
+     * Sets color of event and its overridden occurrences from their categories
+     * 
+     * @private
+     * @param {Object} event - loaded event
+     * @param {Array<Category>} categories - all categories
+     * @returns {Object} event with color of its category
+     * 
+     * @description
+     * Event of deleted category keeps its own saved color
+     */
+    #applyCategory(event, categories) {
+        const colorOf = (item) => {
+            const category = item.category !== undefined && categories.find((cat) => cat.id === item.category)
+            return category ? { ...item, color: category.color } : item
+        }
+        const result = colorOf(event)
+        if (!event.overrides) return result
+        return { ...result, overrides: event.overrides.map(colorOf) }
+    }
+
     /**
      * Saves event list to file
      * 
@@ -403,8 +899,7 @@ export class EventService {
      */
     #saveEvents(listOfEvents) {
         try {
-            FileService.writeFile(this.eventsFilePath, listOfEvents);
-            logger.log('Events successfully saved');
+            if (this.#repository.replaceAll(listOfEvents)) logger.log('Events successfully saved');
         } catch (error) {
             logger.error(error, 'Failed to save events');
             throw error;
@@ -427,33 +922,321 @@ export class EventService {
      * - 'day' - daily repetition
      * - 'week' - weekly repetition
      * - 'month' - monthly repetition
-     * 
-     * Each repetition type uses its own time interval
+     * - 'days' - repetition on selected days of the week (repeat_days)
+     * - 'month_weekday' - monthly repetition on the same weekday of the month (e.g. second Tuesday)
+     * - 'year' - yearly repetition, February 29 becomes February 28 in non-leap years
+     * 
+     * Repetition is divided into cycles (day, week, month or year), repeat_interval
+     * sets number of periods between cycles (every 2 weeks, every 3 days).
+     * Skipped occurrences are not added, overridden occurrences are added with their own fields.
+     * Occurrences after repeat_until or after repeat_count occurrences are not added.
      */
     #repeateRule(event, period, listToAdd) {
-        let repeatMs = this.#getRepeatTimeMs(event);
-        if (event.repeat !== 'never') {
-            let repeatedEvent = { ...event };
-            repeatedEvent.check_repeat = event.repeat;
-            repeatedEvent.repeat = 'never';
-            let start = new Date(event.start).getTime() + repeatMs
-            let end = new Date(event.end).getTime() + repeatMs
-            while (new Date(repeatedEvent.start).getTime() <= new Date(period.end).getTime()) {
-                if (new Date(repeatedEvent.start).getTime() <= new Date(period.end).getTime() &&
-                    new Date(repeatedEvent.end).getTime() >= new Date(period.start).getTime()){
-                    listToAdd.push(new Event(repeatedEvent));
+        if (event.repeat === 'never') return
+        const duration = new Date(event.end).getTime() - new Date(event.start).getTime()
+        const periodStart = new Date(period.start).getTime()
+        const periodEnd = new Date(period.end).getTime()
+        const skipped = event.skipped || []
+        const overrides = event.overrides || []
+        const until = this.#getLastStart(event)
+        for (const override of overrides) {
+            const occurrence = this.#fromWallClock(event, new Date(override.occurrence))
+            if (occurrence > until) continue
+            if (new Date(override.start).getTime() <= periodEnd && new Date(override.end).getTime() >= periodStart) {
+                listToAdd.push(this.#createOccurrence(event, occurrence, override))
+            }
+        }
+        for (let cycle = this.#getFirstCycle(event, periodStart - duration); ; cycle++) {
+            const starts = this.#getCycleStarts(event, cycle)
+            if (starts.length > 0 && (starts[0] > periodEnd || starts[0] > until)) return
+            for (const start of starts) {
+                if (start > until) return
+                const key = this.#getOccurrenceKey(event, start)
+                if (skipped.includes(key) || overrides.some((item) => item.occurrence === key)) continue
+                if (start <= periodEnd && start + duration >= periodStart) {
+                    listToAdd.push(this.#createOccurrence(event, start, { start: start, end: start + duration }));
                 }
-                repeatedEvent.start = start;
-                repeatedEvent.end = end;
-                repeatMs = event.repeat === 'month' 
-                    ? this.#getMsToSameDateInNextMonth(repeatedEvent) 
-                    : repeatMs;
-                start += repeatMs
-                end += repeatMs
             }
         }
     }
 
+    /**
+     * Creates single occurrence of repeating event
+     * 
+     * @private
+     * @param {Object} event - source event with repetition rule
+     * @param {number} occurrence - original start of occurrence in milliseconds
+     * @param {Object} fields - fields of the occurrence (start, end or override of the occurrence)
+     * @returns {Event} occurrence, which keeps id of the series
+     */
+    #createOccurrence(event, occurrence, fields) {
+        let repeatedEvent = { ...event };
+        repeatedEvent.check_repeat = event.repeat;
+        repeatedEvent.repeat = 'never';
+        repeatedEvent.occurrence = occurrence
+        repeatedEvent.skipped = undefined
+        repeatedEvent.overrides = undefined
+        for (const field of OCCURRENCE_FIELDS) {
+            if (fields[field] !== undefined) repeatedEvent[field] = fields[field]
+        }
+        return new Event(repeatedEvent)
+    }
+
+    /**
+     * Saves time zone of event start
+     * 
+     * @private
+     * @param {Object} event - event for saving
+     * @returns {void}
+     * 
+     * @description
+     * Floating events always get the current zone of the watch,
+     * anchored events keep the zone they were created in
+     */
+    #setTimezone(event) {
+        if (!event.anchored || event.timezone === undefined) event.timezone = EventService.getUtcOffset(event.start)
+    }
+
+    /**
+     * Moves floating event to the current time zone of the watch
+     * 
+     * @private
+     * @param {Object} event - loaded event
+     * @returns {Object} event with the same wall-clock time in the current zone
+     * 
+     * @description
+     * Start, end and end of repetition are shifted together, overridden occurrences
+     * are shifted by their own zone. Keys of skipped and overridden occurrences are
+     * wall-clock times, so they do not depend on the zone.
+     * Anchored events and events without saved zone are returned as is.
+     */
+    #toLocalTime(event) {
+        if (event.anchored || event.timezone === undefined) return event
+        const start = new Date(event.start).getTime()
+        const delta = this.#fromWallClock(event, new Date(start + event.timezone * MINUTE_MS)) - start
+        if (delta === 0) return event
+        const shift = (time) => new Date(new Date(time).getTime() + delta).toISOString()
+        logger.log('Move floating event ' + event.id + ' to local time, shift: ' + delta)
+        return {
+            ...event,
+            start: shift(event.start),
+            end: shift(event.end),
+            timezone: EventService.getUtcOffset(start + delta),
+            repeat_until: event.repeat_until ? shift(event.repeat_until) : event.repeat_until,
+            overrides: event.overrides ? event.overrides.map((item) => this.#overrideToLocalTime(item)) : event.overrides
+        }
+    }
+
+    /**
+     * Moves overridden occurrence of floating event to the current time zone of the watch
+     * 
+     * @private
+     * @param {Object} override - saved override with fields start, end and timezone
+     * @returns {Object} override with the same wall-clock time in the current zone
+     */
+    #overrideToLocalTime(override) {
+        if (override.timezone === undefined) return override
+        const start = new Date(override.start).getTime()
+        const delta = this.#fromWallClock({}, new Date(start + override.timezone * MINUTE_MS)) - start
+        return {
+            ...override,
+            start: new Date(start + delta).toISOString(),
+            end: new Date(new Date(override.end).getTime() + delta).toISOString(),
+            timezone: EventService.getUtcOffset(start + delta)
+        }
+    }
+
+    /**
+     * Calculates key of occurrence, which is used in skipped and overridden occurrences
+     * 
+     * @private
+     * @param {Object} event - repeating event
+     * @param {number} occurrence - original start of occurrence in milliseconds
+     * @returns {number} wall-clock time of the occurrence in the event zone
+     */
+    #getOccurrenceKey(event, occurrence) {
+        return this.#toWallClock(event, occurrence).getTime()
+    }
+
+    /**
+     * Converts moment to wall-clock time of the event zone
+     * 
+     * @private
+     * @param {Object} event - event with fields timezone and anchored
+     * @param {Date|string|number} time - moment to convert
+     * @returns {Date} date, which UTC fields are equal to wall-clock time of the event
+     * 
+     * @description
+     * Floating events use the current zone of the watch, anchored events use the saved UTC offset.
+     * Calculations with UTC fields of the result are not affected by DST changes.
+     */
+    #toWallClock(event, time) {
+        const date = new Date(time)
+        if (event.anchored && event.timezone !== undefined) return new Date(date.getTime() + event.timezone * MINUTE_MS)
+        return new Date(Date.UTC(date.getFullYear(), date.getMonth(), date.getDate(),
+            date.getHours(), date.getMinutes(), date.getSeconds(), date.getMilliseconds()))
+    }
+
+    /**
+     * Converts wall-clock time of the event zone back to moment
+     * 
+     * @private
+     * @param {Object} event - event with fields timezone and anchored
+     * @param {Date} wall - wall-clock time created by toWallClock
+     * @returns {number} moment in milliseconds
+     */
+    #fromWallClock(event, wall) {
+        if (event.anchored && event.timezone !== undefined) return wall.getTime() - event.timezone * MINUTE_MS
+        return new Date(wall.getUTCFullYear(), wall.getUTCMonth(), wall.getUTCDate(),
+            wall.getUTCHours(), wall.getUTCMinutes(), wall.getUTCSeconds(), wall.getUTCMilliseconds()).getTime()
+    }
+
+    /**
+     * Calculates starts of occurrences inside one repetition cycle
+     * 
+     * @private
+     * @param {Object} event - source event with repetition rule
+     * @param {number} cycle - index of cycle, 0 - cycle of the first occurrence
+     * @returns {Array<number>} sorted starts of occurrences in milliseconds
+     * 
+     * @description
+     * Every cycle contains one occurrence except 'days' rule,
+     * where cycle is a week with occurrence on every selected day.
+     * Occurrences before start of the source event are skipped.
+     * Cycles are calculated in wall-clock time, so occurrences keep their time across DST changes.
+     */
+    #getCycleStarts(event, cycle) {
+        const first = this.#toWallClock(event, event.start)
+        const step = cycle * EventService.getRepeatInterval(event)
+        const addDays = (date, days) => new Date(date.getTime() + days * 24 * HOUR_MS)
+        let starts = []
+        if (event.repeat === 'day') starts = [addDays(first, step)]
+        else if (event.repeat === 'week') starts = [addDays(first, step * 7)]
+        else if (event.repeat === 'month') starts = [this.#getSameDateInMonth(first, step)]
+        else if (event.repeat === 'month_weekday') starts = [this.#getSameWeekdayInMonth(first, step)]
+        else if (event.repeat === 'year') starts = [this.#getSameDateInMonth(first, step * 12)]
+        else if (event.repeat === 'days') {
+            const monday = addDays(first, step * 7 - (first.getUTCDay() + 6) % 7)
+            starts = WEEK_DAYS_ORDER
+                .map((day, index) => event.repeat_days.includes(day) ? addDays(monday, index) : null)
+                .filter((start) => start != null && start >= first)
+        }
+        return starts.map((start) => this.#fromWallClock(event, start))
+    }
+
+    /**
+     * Finds start of the last occurrence of repeating event
+     * 
+     * @private
+     * @param {Object} event - source event with repetition rule
+     * @returns {number} start of the last occurrence in milliseconds, Infinity for endless event
+     * 
+     * @description
+     * Skipped occurrences are counted in repeat_count as well, so deleting
+     * an occurrence does not extend the series
+     */
+    #getLastStart(event) {
+        const until = event.repeat_until ? new Date(event.repeat_until).getTime() : Infinity
+        if (!event.repeat_count) return until
+        let count = 0
+        for (let cycle = 0; ; cycle++) {
+            for (const start of this.#getCycleStarts(event, cycle)) {
+                if (start > until) return until
+                count++
+                if (count >= event.repeat_count) return start
+            }
+        }
+    }
+
+    /**
+     * Calculates end of the last occurrence of event
+     * 
+     * @private
+     * @param {Object} event - event or repeating event
+     * @returns {Date|null} end of the event or of its last occurrence, null for endless repeating event
+     */
+    #getLastEnd(event) {
+        if (!event.repeat || event.repeat == 'never') return new Date(event.end)
+        const lastStart = this.#getLastStart(event)
+        if (lastStart === Infinity) return null
+        const duration = new Date(event.end).getTime() - new Date(event.start).getTime()
+        let end = new Date(lastStart + duration)
+        for (const override of event.overrides || []) {
+            if (new Date(override.end) > end) end = new Date(override.end)
+        }
+        return end
+    }
+
+    /**
+     * Finds first cycle which can contain occurrences after specified time
+     * 
+     * @private
+     * @param {Object} event - source event with repetition rule
+     * @param {number} time - time in milliseconds
+     * @returns {number} index of cycle, never greater than index of the first matching cycle
+     * 
+     * @description
+     * Allows to skip old cycles of long repeating events instead of iterating from the first occurrence
+     */
+    #getFirstCycle(event, time) {
+        const first = this.#toWallClock(event, event.start)
+        const date = this.#toWallClock(event, time)
+        let periods = 0
+        if (event.repeat === 'day') periods = (date - first) / (24 * HOUR_MS)
+        else if (event.repeat === 'week' || event.repeat === 'days') periods = (date - first) / (7 * 24 * HOUR_MS)
+        else {
+            periods = (date.getUTCFullYear() - first.getUTCFullYear()) * 12 + date.getUTCMonth() - first.getUTCMonth()
+            if (event.repeat === 'year') periods /= 12
+        }
+        return Math.max(0, Math.floor(periods / EventService.getRepeatInterval(event)) - 1)
+    }
+
+    /**
+     * Calculates same date and time in one of the next months
+     * 
+     * @private
+     * @param {Date} date - wall-clock time of the first occurrence
+     * @param {number} months - number of months to add
+     * @returns {Date} wall-clock time in target month
+     * 
+     * @description
+     * Method considers:
+     * - transition between years
+     * - different number of days in months
+     * - correct handling of last day of month (31st becomes 30th, 28th or 29th)
+     */
+    #getSameDateInMonth(date, months) {
+        const target = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + months, 1, date.getUTCHours(), date.getUTCMinutes()))
+        const daysInMonth = new Date(Date.UTC(target.getUTCFullYear(), target.getUTCMonth() + 1, 0)).getUTCDate()
+        target.setUTCDate(Math.min(date.getUTCDate(), daysInMonth))
+        return target
+    }
+
+    /**
+     * Calculates same weekday of month and time in one of the next months
+     * 
+     * @private
+     * @param {Date} date - wall-clock time of the first occurrence
+     * @param {number} months - number of months to add
+     * @returns {Date} wall-clock time in target month
+     * 
+     * @description
+     * Number of weekday is taken from the first occurrence (second Tuesday, fourth Friday).
+     * Fifth weekday of month is treated as the last one, because not every month has it.
+     */
+    #getSameWeekdayInMonth(date, months) {
+        const nth = Math.ceil(date.getUTCDate() / 7) > 4 ? -1 : Math.ceil(date.getUTCDate() / 7)
+        const target = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + months, 1, date.getUTCHours(), date.getUTCMinutes()))
+        if (nth > 0) {
+            target.setUTCDate(1 + (date.getUTCDay() - target.getUTCDay() + 7) % 7 + (nth - 1) * 7)
+        } else {
+            const daysInMonth = new Date(Date.UTC(target.getUTCFullYear(), target.getUTCMonth() + 1, 0)).getUTCDate()
+            target.setUTCDate(daysInMonth)
+            target.setUTCDate(daysInMonth - (target.getUTCDay() - date.getUTCDay() + 7) % 7)
+        }
+        return target
+    }
+
     /**
      * Method for checking correctness of event fields
      * 
@@ -482,6 +1265,13 @@ export class EventService {
      *      - endDate: Date object
      *      - color: string in hex format (e.g. '0x000000')
      *      - repeat: string containing digits 0-3 (e.g. '0123')
+     *      - repeat_days: array of week days 0-6 (0 - Sunday), required for 'days' repeat
+     *      - repeat_interval: optional positive integer, number of periods between repetitions
+     *      - anniversary: optional flag for yearly events, requires anniversary_year
+     *      - repeat_until: optional date, after which event is not repeated
+     *      - repeat_count: optional number of occurrences of repeating event
+     *      - timezone: optional UTC offset of event start in minutes
+     *      - all_day: optional flag of all-day event
      */
     #checkEventFields(event) {
         if (!event || typeof event !== 'object') {
@@ -496,10 +1286,35 @@ export class EventService {
         if (!(new Date(event.end) instanceof Date)) {
             throw new Error('Invalid endDate: must be a valid Date object');
         }
-        if (typeof event.repeat !== 'string' ||
-            !['never', 'day', 'week', 'month'].includes(event.repeat)
+        if (typeof event.repeat !== 'string' || !REPEAT.includes(event.repeat)) {
+            throw new Error('Invalid repeat: must be one of ' + REPEAT.join(', '));
+        }
+        if (event.repeat === 'days' && (
+            !Array.isArray(event.repeat_days) ||
+            event.repeat_days.length === 0 ||
+            !event.repeat_days.every((day) => Number.isInteger(day) && day >= 0 && day <= 6))
         ) {
-            throw new Error('Invalid repeat: must be one of \'never\', \'day\', \'week\', \'month\'');
+            throw new Error('Invalid repeat_days: must be a non-empty array of week days 0-6');
+        }
+        if (event.repeat_interval !== undefined &&
+            (!Number.isInteger(event.repeat_interval) || event.repeat_interval < 1)
+        ) {
+            throw new Error('Invalid repeat_interval: must be a positive integer');
+        }
+        if (event.repeat_until !== undefined && isNaN(new Date(event.repeat_until).getTime())) {
+            throw new Error('Invalid repeat_until: must be a valid date');
+        }
+        if (event.all_day !== undefined && typeof event.all_day !== 'boolean') {
+            throw new Error('Invalid all_day: must be boolean');
+        }
+        if (event.timezone !== undefined && (!Number.isInteger(event.timezone) || Math.abs(event.timezone) > 14 * 60)) {
+            throw new Error('Invalid timezone: must be UTC offset in minutes');
+        }
+        if (event.repeat_count !== undefined && (!Number.isInteger(event.repeat_count) || event.repeat_count < 1)) {
+            throw new Error('Invalid repeat_count: must be a positive integer');
+        }
+        if (event.anniversary && (event.repeat !== 'year' || !Number.isInteger(event.anniversary_year))) {
+            throw new Error('Invalid anniversary: must be yearly event with anniversary_year');
         }
 
         return true;
@@ -535,8 +1350,8 @@ export class EventService {
     /**
      * Method for automatic checking and generation of unique event ID
      * 
-     * Checks for ID duplicates in event list and, if duplicate found,
-     * automatically generates new unique ID for event.
+     * Checks for ID duplicates in event list and, if duplicate found
+     * or ID is missing, automatically generates new unique ID for event.
      * 
      * @function checkDuplicateId
      * @param {Object} event - event object for which ID is checked
@@ -578,7 +1393,7 @@ export class EventService {
         if (!Array.isArray(allEvents)) {
             throw new Error('All events must be provided as an array');
         }
-        while (allEvents.some(existingEvent => existingEvent.id === event.id)) {
+        while (!event.id || allEvents.some(existingEvent => existingEvent.id === event.id)) {
             event.id = this.#generatorId();
         }
     }
@@ -600,6 +1415,83 @@ export class EventService {
         event.endAngle = angles.endAngle;
     }
 
+    /**
+     * Splits ring of all-day events into equal segments
+     * 
+     * @private
+     * @param {Array<Object>} events - actual all-day events
+     * @returns {void}
+     */
+    #addAllDayRingAngles(events) {
+        const segment = 360 / Math.max(events.length, 1)
+        events.forEach((event, index) => {
+            event.startAngle = index * segment
+            event.endAngle = (index + 1) * segment
+        })
+    }
+
+    /**
+     * Assigns concentric rings (lanes) of the dial to overlapping events
+     * 
+     * Events are grouped into clusters of overlapping ones. Inside of the cluster
+     * events of higher priority choose first, so they get the outer lanes;
+     * events of the same priority choose in order of start. Each event takes
+     * the outermost lane where it doesn't overlap events placed before. All events
+     * of the cluster share the number of lanes, so the ring is divided equally.
+     * 
+     * @private
+     * @param {Array<Object>} events - actual timed events
+     * @returns {void}
+     */
+    #assignLanes(events) {
+        const sorted = [...events].sort((a, b) => new Date(a.start) - new Date(b.start))
+        let cluster = []
+        let clusterEnd = -Infinity
+        for (const event of sorted) {
+            const start = new Date(event.start).getTime()
+            if (start >= clusterEnd) {
+                this.#assignClusterLanes(cluster)
+                cluster = []
+            }
+            cluster.push(event)
+            clusterEnd = Math.max(clusterEnd, new Date(event.end).getTime())
+        }
+        this.#assignClusterLanes(cluster)
+    }
+
+    /**
+     * Assigns lanes to events of one cluster of overlapping events
+     * 
+     * @private
+     * @param {Array<Object>} cluster - overlapping events sorted by start
+     * @returns {void}
+     */
+    #assignClusterLanes(cluster) {
+        const rank = (event) => PRIORITIES.indexOf(event.priority ?? 'normal')
+        const ordered = [...cluster].sort((a, b) => rank(b) - rank(a))
+        let lanes = []
+        for (const event of ordered) {
+            const start = new Date(event.start).getTime()
+            const end = new Date(event.end).getTime()
+            // Latest end of the lane's events which overlap the event, -Infinity if lane is free
+            const busyUntil = (lane) => Math.max(-Infinity, ...lane
+                .filter((item) => item.start < end && item.end > start)
+                .map((item) => item.end))
+            let lane = lanes.findIndex((item) => busyUntil(item) === -Infinity)
+            if (lane == -1) {
+                if (lanes.length < EVENT_SECTORS.max_lanes) lane = lanes.push([]) - 1
+                // All lanes are busy, event goes to the lane that is freed first
+                else {
+                    const ends = lanes.map(busyUntil)
+                    lane = ends.indexOf(Math.min(...ends))
+                }
+            }
+            lanes[lane].push({ start: start, end: end })
+            event.lane = lane
+        }
+        cluster.forEach((event) => event.lanes = lanes.length)
+    }
+
     /**
      * Calculates angles for visual representation of event
      * 
@@ -615,8 +1507,10 @@ export class EventService {
      * Limitations:
      * - Events older than 2 hours from current time start from 2-hour ago angle
      * - Events ending later than 10 hours are truncated to 10-hour limit
+     * All-day events are excluded, they are drawn as a ring (see addAllDayRingAngles)
      */
     #calculateEventAngles(event, timeNow) {
+        if (event.all_day) return { startAngle: event.startAngle, endAngle: event.endAngle }
         // Calculate base angles for event start and end
         let startAngle = EventService.convertTimeToAngle(event.start);
         let endAngle = EventService.convertTimeToAngle(event.end);
@@ -642,47 +1536,6 @@ export class EventService {
         };
     }
 
-    #getRepeatTimeMs(event){
-        let repeatTimeMs = 0
-        if (event.repeat == REPEAT[1]) repeatTimeMs = 24 * HOUR_MS
-        else if ( event.repeat == REPEAT[2]) repeatTimeMs = 7 * 24 * HOUR_MS
-        else if (event.repeat == REPEAT[3]) repeatTimeMs = this.#getMsToSameDateInNextMonth(event)
-        return repeatTimeMs
-    }
-
-    /**
-     * Calculates number of milliseconds to same date in next month
-     * 
-     * Method calculates time difference between event date and same date in next month,
-     * considering number of days in next month
-     * 
-     * @private
-     * @param {Event} event - event for which calculation is performed
-     * @returns {number} number of milliseconds to same date in next month
-     * 
-     * @description
-     * Method considers:
-     * - transition between months
-     * - transition between years
-     * - different number of days in months
-     * - correct handling of last day of month
-     */
-    #getMsToSameDateInNextMonth(event) {
-        const start = new Date(event.start);
-        const currentDay = start.getDate();
-        let nextMonth = start.getMonth() + 1;
-        let nextYear = start.getFullYear();
-        if (nextMonth > 11) {
-            nextMonth = 0;
-            nextYear += 1;
-        }
-        const daysInNextMonth = new Date(nextYear, nextMonth + 1, 0).getDate();
-        const nextDay = Math.min(currentDay, daysInNextMonth);
-        const nextEventDate = new Date(nextYear, nextMonth, nextDay);
-        const diffInMs = nextEventDate.getTime() - start.getTime();
-        return diffInMs;
-    }
-
     /**
      * Defines week boundaries for given date
      * 
@@ -750,6 +1603,64 @@ export class EventService {
         return result >= 360 ? result % 360 : result;
     }
 
+    /**
+     * Returns number of periods between repetitions of event
+     * 
+     * @static
+     * @param {Object} event - event object with optional field repeat_interval
+     * @returns {number} repeat interval, 1 if not set
+     */
+    static getRepeatInterval(event) {
+        return event.repeat_interval > 1 ? event.repeat_interval : 1
+    }
+
+    /**
+     * Calculates UTC offset of the watch zone for given date
+     * 
+     * @static
+     * @param {Date|string|number} date - date to check
+     * @returns {number} offset in minutes, positive to the east of UTC
+     * 
+     * @example
+     * EventService.getUtcOffset(new Date()) // 180 for Moscow
+     */
+    static getUtcOffset(date) {
+        return -new Date(date).getTimezoneOffset()
+    }
+
+    /**
+     * Creates date of the last millisecond of the day, day is clamped to the month length
+     * 
+     * @static
+     * @param {number} year - full year
+     * @param {number} month - month index 0-11
+     * @param {number} day - day of month 1-31
+     * @returns {Date} end of the day
+     * 
+     * @example
+     * EventService.getEndOfDay(2025, 1, 31) // Feb 28 2025 23:59:59.999
+     */
+    static getEndOfDay(year, month, day) {
+        const daysInMonth = new Date(year, month + 1, 0).getDate()
+        return new Date(year, month, Math.min(day, daysInMonth), 23, 59, 59, 999)
+    }
+
+    /**
+     * Calculates number of weekday in month for given date
+     * 
+     * @static
+     * @param {Date|string} date - date to check
+     * @returns {number} 1-4 for first-fourth weekday of month, -1 for the fifth (last) one
+     * 
+     * @example
+     * EventService.getWeekdayOfMonth(new Date(2025, 0, 14)) // 2 (second Tuesday)
+     * EventService.getWeekdayOfMonth(new Date(2025, 0, 31)) // -1 (last Friday)
+     */
+    static getWeekdayOfMonth(date) {
+        const nth = Math.ceil(new Date(date).getDate() / 7)
+        return nth > 4 ? -1 : nth
+    }
+
     static convertToCirCoord(coordinate) {
         let result = 0
         if (coordinate >= 240) result = coordinate - 240
@@ -757,11 +1668,64 @@ export class EventService {
             return result
     }
 
+    /**
+     * Checks if filter has selected categories or colors
+     * 
+     * @static
+     * @param {Object} [filter] - filter from settings
+     * @returns {boolean} true if some events are hidden by the filter
+     */
+    static isFilterActive(filter) {
+        return !!filter && (filter.categories.length > 0 || filter.colors.length > 0)
+    }
+
+    /**
+     * Checks if event is shown by filter
+     * 
+     * @static
+     * @param {Object} event - event or occurrence
+     * @param {Object} [filter] - filter from settings
+     * @param {Array<string>} filter.categories - IDs of shown categories
+     * @param {Array<number>} filter.colors - shown colors
+     * @returns {boolean} true if event has one of selected categories or colors, always true for inactive filter
+     */
+    static matchesFilter(event, filter) {
+        if (!EventService.isFilterActive(filter)) return true
+        return filter.categories.includes(event.category) || filter.colors.includes(event.color)
+    }
+
+    /**
+     * Returns radii of the ring where event is drawn on the dial
+     * 
+     * @static
+     * @param {Object} event - actual event with fields lane and lanes
+     * @returns {{inner: number, outer: number}} inner and outer radius in pixels
+     * 
+     * @example
+     * EventService.getLaneRadii({lane: 1, lanes: 2}) // {inner: 121, outer: 178}
+     */
+    static getLaneRadii(event) {
+        const lanes = event.lanes || 1
+        const lane = Math.min(event.lane || 0, lanes - 1)
+        const width = (EVENT_SECTORS.radius - EVENT_SECTORS.inner_radius) / lanes
+        return {
+            inner: EVENT_SECTORS.radius - (lane + 1) * width,
+            outer: EVENT_SECTORS.radius - lane * width
+        }
+    }
+
     static isThisEvent(x, y, event) {
         const distance = Math.sqrt((x - 240) ** 2 + (y - 240) ** 2);
-        if (distance > 200) {
+        if (distance > EVENT_SECTORS.radius) {
+            return false;
+        }
+        if (event.all_day && (distance < ALL_DAY_RING.inner_radius || distance > ALL_DAY_RING.radius + 10)) {
             return false;
         }
+        if (!event.all_day && event.lanes > 1) {
+            const { inner, outer } = EventService.getLaneRadii(event)
+            if (distance < inner || distance > outer) return false;
+        }
         let pointAngle = 90 - Math.atan2(240 - y, x - 240) * (180 / Math.PI);
         if (pointAngle < 0) pointAngle = 360 + pointAngle
         if (event.startAngle <= event.endAngle) {
@@ -773,17 +1737,4 @@ export class EventService {
             return pointAngle >= event.startAngle || pointAngle <= event.endAngle;
         }
     }
-
-    static separateListToPastCurrentFutureEvents(eventsList){
-      let past = 0, current = 0, future = 0
-      const now = new Date()
-      for (const ev of eventsList){
-        const start = new Date(ev.start)
-        const end = new Date(ev.end)
-        if (now > end) past++
-        else if (start > now) future++
-        else current++
-      }
-      return {past: past, current: past + current, future: past+ current + future}
-    }
 }
\ No newline at end of file
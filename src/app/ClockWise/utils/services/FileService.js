@@ -1,8 +1,20 @@
-import { statSync, readFileSync, writeFileSync } from '@zos/fs'
+import { statSync, readFileSync, writeFileSync, renameSync, rmSync } from '@zos/fs'
 import {log} from '@zos/utils'
 
 const logger = log.getLogger('FileService')
 
+/**
+ * Suffix of the file which is written before it replaces the target
+ * @type {string}
+ */
+const TEMP_SUFFIX = '.tmp'
+
+/**
+ * Suffix of the last good copy of the file
+ * @type {string}
+ */
+const BACKUP_SUFFIX = '.bak'
+
 export class FileService {
     /**
      * Reads file contents
@@ -36,9 +48,42 @@ export class FileService {
         }
         return result
     }
+    /**
+     * Reads file with JSON content, broken file is restored from its backup
+     *
+     * Candidates are checked in order: the file itself, its temp copy left by
+     * interrupted write, its backup. The first one that parses is returned and
+     * written back in place of the broken file.
+     *
+     * @param {string} path - Path to the file to read
+     * @returns {*} Parsed file contents or undefined if neither the file nor its copies exist
+     * @throws {Error} Throws error if the file and all its copies are broken
+     * @example
+     * const settings = FileService.readJSON('settings') // {version: 1, settings: {...}}
+     */
+    static readJSON(path){
+        const candidates = [path, path + TEMP_SUFFIX, path + BACKUP_SUFFIX].filter((item) => this.isFileAvail(item))
+        if (candidates.length == 0) return undefined
+        for (const candidate of candidates) {
+            try {
+                const result = JSON.parse(this.readFile(candidate))
+                if (candidate !== path) {
+                    logger.error('File ' + path + ' is broken, restored from ' + candidate)
+                    this.#replaceFile(path, JSON.stringify(result))
+                }
+                return result
+            } catch (Error) {
+                logger.error(Error, 'File ' + candidate + ' is broken')
+            }
+        }
+        throw new Error('File and its backup are broken')
+    }
     /**
      * Writes data to a file
      *
+     * Data is written to a temp file first, then the temp file is renamed into place,
+     * so the target is never left half-written. Previous version of the file is kept as backup.
+     *
      * @param {string} path - Path to the file for writing
      * @param {string} content - Content to write
      * @throws {Error} Throws error on write failure
@@ -53,13 +98,7 @@ export class FileService {
     static writeFile(path, content){
         logger.log('Write file to ' + path + '...')
         try{
-            writeFileSync({
-                path: path,
-                data: JSON.stringify(content),
-                options: {
-                    encoding: 'utf8',
-                },
-            })
+            this.#replaceFile(path, JSON.stringify(content), path + BACKUP_SUFFIX)
             logger.log('Writing file ' + path + ' successfull')
         } catch (Error){
             logger.error(Error, 'Write file to' + path + ' failed')
@@ -67,6 +106,57 @@ export class FileService {
         }
     }
 
+    /**
+     * Atomically replaces file contents
+     *
+     * @private
+     * @param {string} path - Path to the file
+     * @param {string} data - New contents
+     * @param {string} [backupPath] - Path where previous version of the file is moved
+     * @throws {Error} Throws error if file can't be written or renamed
+     */
+    static #replaceFile(path, data, backupPath){
+        const tempPath = path + TEMP_SUFFIX
+        writeFileSync({
+            path: tempPath,
+            data: data,
+            options: {
+                encoding: 'utf8',
+            },
+        })
+        if (this.isFileAvail(path)) {
+            if (backupPath) {
+                if (this.isFileAvail(backupPath)) rmSync({ path: backupPath })
+                if (renameSync({ oldPath: path, newPath: backupPath }) !== 0) throw new Error('Backup of ' + path + ' failed')
+            }
+            else rmSync({ path: path })
+        }
+        if (renameSync({ oldPath: tempPath, newPath: path }) !== 0) throw new Error('Rename of ' + tempPath + ' failed')
+    }
+
+    /**
+     * Returns file size and modification time without reading the file
+     *
+     * @param {string} path - Path to the file
+     * @returns {{size: number, mtimeMs: number}|undefined} File stat or undefined if file doesn't exist
+     */
+    static getFileStat(path){
+        return statSync({
+            path: path,
+        })
+    }
+
+    /**
+     * Returns state of the file which changes on every write, it is used to check if cached content is outdated
+     *
+     * @param {string} path - Path to the file
+     * @returns {string|null} File size and modification time or null if file doesn't exist
+     */
+    static getFileVersion(path){
+        const stat = this.getFileStat(path)
+        return stat ? stat.size + ':' + stat.mtimeMs : null
+    }
+
     static isFileAvail(path){
         return statSync({
             path: path,
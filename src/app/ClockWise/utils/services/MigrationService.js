@@ -0,0 +1,262 @@
+import { FileService } from './FileService'
+import {log} from '@zos/utils'
+
+const logger = log.getLogger('MigrationService')
+
+/**
+ * Current version of the events file schema
+ * @type {number}
+ */
+export const EVENTS_SCHEMA_VERSION = 1
+
+/**
+ * Current version of the settings file schema
+ * @type {number}
+ */
+export const SETTINGS_SCHEMA_VERSION = 3
+
+/**
+ * Current version of the trash file schema
+ * @type {number}
+ */
+export const TRASH_SCHEMA_VERSION = 1
+
+/**
+ * Current version of the archive file schema
+ * @type {number}
+ */
+export const ARCHIVE_SCHEMA_VERSION = 1
+
+/**
+ * Current version of the categories file schema
+ * @type {number}
+ */
+export const CATEGORIES_SCHEMA_VERSION = 1
+
+/**
+ * Current version of the tasks file schema
+ * @type {number}
+ */
+export const TASKS_SCHEMA_VERSION = 1
+
+/**
+ * Current version of the tracking file schema
+ * @type {number}
+ */
+export const TRACKING_SCHEMA_VERSION = 1
+
+/**
+ * Migrations of the events file, migration with index N upgrades data of version N to N+1.
+ * Each migration is a pure function: it gets file content and returns new content.
+ * Files without header are version 0 (bare array of events).
+ * @type {Array<Function>}
+ */
+const EVENTS_MIGRATIONS = [
+    // 0 -> 1: bare array is wrapped into versioned header
+    (events) => ({ version: 1, events: Array.isArray(events) ? events : [] }),
+]
+
+/**
+ * Migrations of the settings file, see EVENTS_MIGRATIONS
+ * @type {Array<Function>}
+ */
+const SETTINGS_MIGRATIONS = [
+    // 0 -> 1: bare object is wrapped into versioned header, missing values get defaults instead of full reset
+    (settings) => ({
+        version: 1,
+        settings: {
+            autoDelete: typeof settings?.autoDelete === 'string' ? settings.autoDelete : 'never',
+            colorTheme: typeof settings?.colorTheme === 'string' ? settings.colorTheme : 'standard',
+        }
+    }),
+    // 1 -> 2: expired events can be archived instead of deletion. Existing users keep deletion
+    // they have chosen (limit 0), archive is turned on only for new installs (see SettingsService)
+    (data) => ({ version: 2, settings: { ...data.settings, archiveLimit: 0 } }),
+    // 2 -> 3: list of events can be filtered by categories and colors
+    (data) => ({ version: 3, settings: { ...data.settings, filter: { categories: [], colors: [], dial: false } } }),
+]
+
+/**
+ * Migrations of the trash file, see EVENTS_MIGRATIONS
+ * @type {Array<Function>}
+ */
+const TRASH_MIGRATIONS = [
+    // 0 -> 1: trash appeared in version 1, content without header is not expected
+    (items) => ({ version: 1, items: Array.isArray(items) ? items : [] }),
+]
+
+/**
+ * Migrations of the archive file, see EVENTS_MIGRATIONS
+ * @type {Array<Function>}
+ */
+const ARCHIVE_MIGRATIONS = [
+    // 0 -> 1: archive appeared in version 1, content without header is not expected
+    (events) => ({ version: 1, events: Array.isArray(events) ? events : [] }),
+]
+
+/**
+ * Migrations of the categories file, see EVENTS_MIGRATIONS
+ * @type {Array<Function>}
+ */
+const CATEGORIES_MIGRATIONS = [
+    // 0 -> 1: categories appeared in version 1, content without header is not expected
+    (categories) => ({ version: 1, categories: Array.isArray(categories) ? categories : [] }),
+]
+
+/**
+ * Migrations of the tasks file, see EVENTS_MIGRATIONS
+ * @type {Array<Function>}
+ */
+const TASKS_MIGRATIONS = [
+    // 0 -> 1: tasks appeared in version 1, content without header is not expected
+    (tasks) => ({ version: 1, tasks: Array.isArray(tasks) ? tasks : [] }),
+]
+
+/**
+ * Migrations of the tracking file, see EVENTS_MIGRATIONS
+ * @type {Array<Function>}
+ */
+const TRACKING_MIGRATIONS = [
+    // 0 -> 1: tracking appeared in version 1, content without header is not expected
+    (intervals) => ({ version: 1, intervals: Array.isArray(intervals) ? intervals : [], active: null }),
+]
+
+export class MigrationService {
+    /**
+     * Upgrades all data files of the application in place
+     * 
+     * Called once on application start. File is rewritten only if its version is older than current one.
+     * Broken files are left as is, services handle them on load.
+     * 
+     * @returns {void}
+     */
+    static migrateFiles() {
+        this.#migrateFile('events', (data) => this.migrateEvents(data))
+        this.#migrateFile('settings', (data) => this.migrateSettings(data))
+        this.#migrateFile('trash', (data) => this.migrateTrash(data))
+        this.#migrateFile('archive', (data) => this.migrateArchive(data))
+        this.#migrateFile('categories', (data) => this.migrateCategories(data))
+        this.#migrateFile('tasks', (data) => this.migrateTasks(data))
+        this.#migrateFile('tracking', (data) => this.migrateTracking(data))
+    }
+
+    /**
+     * Upgrades content of the events file to the current schema
+     * 
+     * @param {Object|Array} data - parsed content of the events file of any version
+     * @returns {{version: number, events: Array<Object>}} content of the current version
+     * @throws {Error} If file was written by newer version of the application
+     * 
+     * @example
+     * MigrationService.migrateEvents([{id: '1'}]) // {version: 1, events: [{id: '1'}]}
+     */
+    static migrateEvents(data) {
+        return this.#runMigrations(data, EVENTS_MIGRATIONS, EVENTS_SCHEMA_VERSION)
+    }
+
+    /**
+     * Upgrades content of the settings file to the current schema
+     * 
+     * @param {Object} data - parsed content of the settings file of any version
+     * @returns {{version: number, settings: Object}} content of the current version
+     * @throws {Error} If file was written by newer version of the application
+     * 
+     * @example
+     * MigrationService.migrateSettings({autoDelete: 'day'})
+     * // {version: 3, settings: {autoDelete: 'day', colorTheme: 'standard', archiveLimit: 0, filter: {...}}}
+     */
+    static migrateSettings(data) {
+        return this.#runMigrations(data, SETTINGS_MIGRATIONS, SETTINGS_SCHEMA_VERSION)
+    }
+
+    /**
+     * Upgrades content of the trash file to the current schema
+     * 
+     * @param {Object} data - parsed content of the trash file of any version
+     * @returns {{version: number, items: Array<Object>}} content of the current version
+     * @throws {Error} If file was written by newer version of the application
+     */
+    static migrateTrash(data) {
+        return this.#runMigrations(data, TRASH_MIGRATIONS, TRASH_SCHEMA_VERSION)
+    }
+
+    /**
+     * Upgrades content of the archive file to the current schema
+     * 
+     * @param {Object} data - parsed content of the archive file of any version
+     * @returns {{version: number, events: Array<Object>}} content of the current version
+     * @throws {Error} If file was written by newer version of the application
+     */
+    static migrateArchive(data) {
+        return this.#runMigrations(data, ARCHIVE_MIGRATIONS, ARCHIVE_SCHEMA_VERSION)
+    }
+
+    /**
+     * Upgrades content of the categories file to the current schema
+     * 
+     * @param {Object} data - parsed content of the categories file of any version
+     * @returns {{version: number, categories: Array<Object>}} content of the current version
+     * @throws {Error} If file was written by newer version of the application
+     */
+    static migrateCategories(data) {
+        return this.#runMigrations(data, CATEGORIES_MIGRATIONS, CATEGORIES_SCHEMA_VERSION)
+    }
+
+    /**
+     * Upgrades content of the tasks file to the current schema
+     * 
+     * @param {Object} data - parsed content of the tasks file of any version
+     * @returns {{version: number, tasks: Array<Object>}} content of the current version
+     * @throws {Error} If file was written by newer version of the application
+     */
+    static migrateTasks(data) {
+        return this.#runMigrations(data, TASKS_MIGRATIONS, TASKS_SCHEMA_VERSION)
+    }
+
+    /**
+     * Upgrades content of the tracking file to the current schema
+     * 
+     * @param {Object} data - parsed content of the tracking file of any version
+     * @returns {{version: number, intervals: Array<Object>, active: Object|null}} content of the current version
+     * @throws {Error} If file was written by newer version of the application
+     */
+    static migrateTracking(data) {
+        return this.#runMigrations(data, TRACKING_MIGRATIONS, TRACKING_SCHEMA_VERSION)
+    }
+
+    /**
+     * Returns schema version of file content, content without header is version 0
+     * 
+     * @param {*} data - parsed content of the file
+     * @returns {number} schema version
+     */
+    static getVersion(data) {
+        return data != null && !Array.isArray(data) && Number.isInteger(data.version) ? data.version : 0
+    }
+
+    static #runMigrations(data, migrations, currentVersion) {
+        let version = this.getVersion(data)
+        if (version > currentVersion) {
+            throw new Error(`Schema version ${version} is newer than supported ${currentVersion}`)
+        }
+        let result = data
+        for (; version < currentVersion; version++) {
+            result = migrations[version](result)
+        }
+        return result
+    }
+
+    static #migrateFile(path, migrate) {
+        try {
+            const data = FileService.readJSON(path)
+            if (data === undefined) return
+            const version = this.getVersion(data)
+            const migrated = migrate(data)
+            if (migrated.version === version) return
+            FileService.writeFile(path, migrated)
+            logger.log(`File ${path} migrated from version ${version} to ${migrated.version}`)
+        } catch (Error) {
+            logger.error(Error, 'Migration of ' + path + ' failed')
+        }
+    }
+}
@@ -1,4 +1,5 @@
 import { FileService } from "./FileService"
+import { MigrationService, SETTINGS_SCHEMA_VERSION } from "./MigrationService"
 import {log} from '@zos/utils'
 
 const logger = log.getLogger('SettingsService')
@@ -9,6 +10,12 @@ export class SettingsService {
      * @type {string}
      */
     static #settingsFilePath = 'settings'
+    /**
+     * Settings used when file is missing or broken, archive is on for new installs
+     * (settings of older versions are migrated with archive turned off, see MigrationService)
+     * @type {{autoDelete: string, colorTheme: string, archiveLimit: number, filter: Object}}
+     */
+    static #defaultSettings = {autoDelete: 'never', colorTheme: 'standard', archiveLimit: 100, filter: {categories: [], colors: [], dial: false}}
     /**
      * Set default settings
      * 
@@ -16,7 +23,7 @@ export class SettingsService {
      */
     static #setDefaultSettings(){
         logger.log('Set Default Settings')
-        const defaultSet = {autoDelete: 'never', colorTheme: 'standard'}
+        const defaultSet = JSON.parse(JSON.stringify(this.#defaultSettings))
         this.saveSettings(defaultSet)
         return defaultSet
     }
@@ -24,29 +31,36 @@ export class SettingsService {
      * Load application settings from configuration file
      * 
      * Method performs sequence of actions:
-     * 1. Attempts to read settings file
-     * 2. Validates received data
-     * 3. Parses JSON
-     * 4. Returns settings object
+     * 1. Attempts to read settings file, broken file is restored from backup
+     * 2. Parses JSON
+     * 3. Upgrades settings of old schema version
+     * 4. Validates received data
+     * 5. Returns settings object
      * 
      * If error occurs:
      * - Logs error
      * - Sets default settings
      * 
-     * @returns {{autoDelete: string, colorTheme: string}} Application settings object
+     * @returns {{autoDelete: string, colorTheme: string, archiveLimit: number, filter: Object}} Application settings object
      * @throws {Error} In case of critical loading error
      * 
      * @example
      * const settings = SettingsManager.loadSettings();
-     * // settings = { autoDelete: 'never', colorTheme: 'light' }
+     * // settings = { autoDelete: 'never', colorTheme: 'light', archiveLimit: 100, filter: { categories: [], colors: [], dial: false } }
      */
     static loadSettings() {
         try {
             logger.log('Load settings...');
-            const settings = JSON.parse(FileService.readFile(this.#settingsFilePath));
+            const data = FileService.readJSON(this.#settingsFilePath);
+            if (MigrationService.getVersion(data) > SETTINGS_SCHEMA_VERSION) {
+                // File of newer application version is kept untouched
+                logger.error('Settings file has newer schema version, defaults are used');
+                return JSON.parse(JSON.stringify(this.#defaultSettings));
+            }
+            const settings = MigrationService.migrateSettings(data).settings;
             this.#validateSettings(settings);
             logger.log('Load settings done');
-            return { autoDelete:settings.autoDelete, colorTheme: settings.colorTheme };
+            return { autoDelete:settings.autoDelete, colorTheme: settings.colorTheme, archiveLimit: settings.archiveLimit, filter: settings.filter };
         } catch (Error) {
             logger.error(Error, 'Load settings failed');
             return this.#setDefaultSettings();
@@ -59,6 +73,8 @@ export class SettingsService {
      * @param {Object} settings Settings object to save
      * @param {string} settings.autoDelete Auto-delete value
      * @param {string} settings.colorTheme Theme value
+     * @param {number} settings.archiveLimit Maximum count of archived events, 0 - expired events are deleted
+     * @param {{categories: Array<string>, colors: Array<number>, dial: boolean}} settings.filter Shown categories and colors, empty lists show all events
      * @returns {void}
      * @throws {Error} Throws error on failed write
      */
@@ -66,7 +82,7 @@ export class SettingsService {
         try{
             this.#validateSettings(settings)
             logger.log('Saving settings...')
-            FileService.writeFile(this.#settingsFilePath, settings)
+            FileService.writeFile(this.#settingsFilePath, { version: SETTINGS_SCHEMA_VERSION, settings: settings })
             logger.log('Save settings done')
         } catch (Error){
             logger.error(Error, 'Save settings failed')
@@ -86,6 +102,13 @@ export class SettingsService {
             settings == null || 
             typeof settings.autoDelete !== 'string' ||
             typeof settings.colorTheme !== 'string'||
+            !Number.isInteger(settings.archiveLimit) ||
+            settings.archiveLimit < 0 ||
+            typeof settings.filter !== 'object' ||
+            settings.filter == null ||
+            !Array.isArray(settings.filter.categories) ||
+            !Array.isArray(settings.filter.colors) ||
+            typeof settings.filter.dial !== 'boolean' ||
             !settings.hasOwnProperty('autoDelete') ||
             !settings.hasOwnProperty('colorTheme')
         ) {
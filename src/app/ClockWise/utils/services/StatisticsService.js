@@ -0,0 +1,85 @@
+import { CategoryService } from './CategoryService'
+import { EventService } from './EventService'
+import { STATISTICS } from '../Constants'
+
+/**
+ * Scheduled time of events for a week or a month
+ * 
+ * Only timed events are counted, all-day events don't take hours.
+ * Events crossing bounds of the period or of a day are split between them.
+ */
+export class StatisticsService {
+    /**
+     * Returns period of statistics containing the date
+     * 
+     * @param {string} type - 'week' or 'month'
+     * @param {Date} date - any date of the period
+     * @returns {{start: Date, end: Date}} start of the first day and start of the day after the period
+     */
+    static getPeriod(type, date) {
+        if (type === 'week') return EventService.getWeekRange(date)
+        return {
+            start: new Date(date.getFullYear(), date.getMonth(), 1),
+            end: new Date(date.getFullYear(), date.getMonth() + 1, 1)
+        }
+    }
+
+    /**
+     * Calculates statistics of events
+     * 
+     * @param {Array<Event>} events - events and occurrences overlapping the period
+     * @param {{start: Date, end: Date}} period - counted period
+     * @returns {{total: number, count: number, average: number, groups: Array<Object>, busiestDays: Array<Object>}}
+     * total and average duration in milliseconds, groups - {category, color, duration} sorted by duration,
+     * busiestDays - {date, duration} of the days with the longest scheduled time
+     */
+    static calculate(events, period) {
+        const categories = CategoryService.getAll()
+        const periodStart = period.start.getTime()
+        const periodEnd = period.end.getTime()
+        let groups = []
+        let days = []
+        let total = 0
+        let count = 0
+        for (const event of events) {
+            if (event.all_day) continue
+            const start = Math.max(new Date(event.start).getTime(), periodStart)
+            const end = Math.min(new Date(event.end).getTime(), periodEnd)
+            if (end <= start) continue
+            total += end - start
+            count++
+            // Events of deleted category are counted by their color
+            const category = categories.some((item) => item.id === event.category) ? event.category : undefined
+            let group = groups.find((item) => item.category === category && (category !== undefined || item.color === event.color))
+            if (!group) {
+                group = { category: category, color: event.color, duration: 0 }
+                groups.push(group)
+            }
+            group.duration += end - start
+            this.#addToDays(days, start, end)
+        }
+        groups.sort((a, b) => b.duration - a.duration)
+        days.sort((a, b) => b.duration - a.duration || a.date - b.date)
+        return {
+            total: total,
+            count: count,
+            average: count > 0 ? total / count : 0,
+            groups: groups,
+            busiestDays: days.slice(0, STATISTICS.busiest_days)
+        }
+    }
+
+    static #addToDays(days, start, end) {
+        let dayStart = new Date(start)
+        dayStart.setHours(0, 0, 0, 0)
+        while (dayStart.getTime() < end) {
+            const nextDay = new Date(dayStart)
+            nextDay.setDate(nextDay.getDate() + 1)
+            const duration = Math.min(end, nextDay.getTime()) - Math.max(start, dayStart.getTime())
+            const day = days.find((item) => item.date.getTime() === dayStart.getTime())
+            if (day) day.duration += duration
+            else days.push({ date: dayStart, duration: duration })
+            dayStart = nextDay
+        }
+    }
+}
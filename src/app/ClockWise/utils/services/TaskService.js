@@ -0,0 +1,121 @@
+import { FileService } from './FileService'
+import { MigrationService, TASKS_SCHEMA_VERSION } from './MigrationService'
+import { Task } from '../models/Task'
+import {log} from '@zos/utils'
+
+const logger = log.getLogger('TaskService')
+
+/**
+ * Storage of tasks, tasks are kept apart from events because they have no time
+ * 
+ * Tasks file is read again only if it was changed, so the count of tasks
+ * can be shown on the main page every minute without reading the file.
+ */
+export class TaskService {
+    /**
+     * Path to tasks file
+     * @type {string}
+     */
+    static #tasksFilePath = 'tasks'
+    /**
+     * Loaded tasks, null until the file is read
+     * @type {Array<Task>|null}
+     */
+    static #tasks = null
+    /**
+     * Tasks file state at the moment of the last read or write
+     * @type {string|null}
+     */
+    static #fileVersion = null
+
+    /**
+     * Returns all tasks: open ones first ordered by due date, done ones last
+     * 
+     * @returns {Array<Task>} tasks
+     */
+    static getAll() {
+        const fileVersion = FileService.getFileVersion(this.#tasksFilePath)
+        if (this.#tasks === null || fileVersion !== this.#fileVersion) {
+            this.#tasks = this.#load()
+            this.#fileVersion = fileVersion
+        }
+        const dueTime = (task) => task.due ? new Date(task.due).getTime() : Infinity
+        return [...this.#tasks].sort((a, b) => (a.done ? 1 : 0) - (b.done ? 1 : 0) ||
+            dueTime(a) - dueTime(b) || a.created_at - b.created_at)
+    }
+
+    /**
+     * Counts open tasks which have to be done today
+     * 
+     * @param {Date} [now] - current time
+     * @returns {number} count of open tasks without date, due today or overdue
+     */
+    static getTodayOpenCount(now = new Date()) {
+        return this.getAll().filter((task) => task.isForToday(now)).length
+    }
+
+    /**
+     * Creates new task
+     * 
+     * @param {Object} task - task data
+     * @param {string} task.title - what has to be done
+     * @param {Date|string} [task.due] - day by which task has to be done
+     * @returns {Task} created task
+     * @throws {Error} If title is empty or task can't be saved
+     */
+    static add(task) {
+        if (typeof task.title !== 'string' || task.title.trim() === '') {
+            throw new Error('Invalid task title: must be a non-empty string')
+        }
+        const now = Date.now()
+        const created = new Task({
+            title: task.title.trim(),
+            due: task.due,
+            id: now.toString(36) + Math.random().toString(36).substr(2, 9),
+            created_at: now
+        })
+        this.#save([...this.getAll(), created])
+        logger.log('Task created: ' + created.id)
+        return created
+    }
+
+    /**
+     * Marks task as done or open
+     * 
+     * @param {string} id - task ID
+     * @param {boolean} done - new state of the task
+     * @returns {void}
+     */
+    static setDone(id, done) {
+        this.#save(this.getAll().map((task) => task.id !== id ? task :
+            new Task({ ...task, done: done, done_at: done ? Date.now() : undefined })))
+        logger.log(`Task ${id} done: ${done}`)
+    }
+
+    /**
+     * Deletes task
+     * 
+     * @param {string} id - task ID
+     * @returns {void}
+     */
+    static delete(id) {
+        this.#save(this.getAll().filter((task) => task.id !== id))
+        logger.log('Task deleted: ' + id)
+    }
+
+    static #load() {
+        try {
+            const data = FileService.readJSON(this.#tasksFilePath) ?? []
+            return MigrationService.migrateTasks(data).tasks.map((task) => new Task(task))
+        } catch (Error) {
+            logger.error(Error, 'Load tasks failed')
+            return []
+        }
+    }
+
+    static #save(tasks) {
+        FileService.writeFile(this.#tasksFilePath, { version: TASKS_SCHEMA_VERSION, tasks: tasks })
+        this.#tasks = tasks
+        this.#fileVersion = FileService.getFileVersion(this.#tasksFilePath)
+    }
+}
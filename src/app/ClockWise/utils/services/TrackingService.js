@@ -0,0 +1,155 @@
+import { FileService } from './FileService'
+import { MigrationService, TRACKING_SCHEMA_VERSION } from './MigrationService'
+import { TRACKING_RETENTION_MS } from '../Constants'
+import {log} from '@zos/utils'
+
+const logger = log.getLogger('TrackingService')
+
+/**
+ * Storage of time really spent on events
+ * 
+ * Interval: {id, event_id, occurrence, description, color, start, end}
+ * - event_id, occurrence - tracked event, occurrence is set only for occurrences of repeating event
+ * - description, color - copied from the event, so the interval is shown after the event is changed or deleted
+ * - start, end - time in milliseconds
+ * Running tracking is kept as interval without end.
+ * Intervals older than retention period are purged on save.
+ */
+export class TrackingService {
+    /**
+     * Path to tracking file
+     * @type {string}
+     */
+    static #trackingFilePath = 'tracking'
+    /**
+     * Loaded content of the file, it is read again only if file was changed
+     * @type {{intervals: Array<Object>, active: Object|null}|null}
+     */
+    static #data = null
+    /**
+     * Tracking file state at the moment of the last read or write
+     * @type {string|null}
+     */
+    static #fileVersion = null
+
+    /**
+     * Returns running tracking
+     * 
+     * @returns {Object|null} interval without end or null if nothing is tracked
+     */
+    static getActive() {
+        return this.#getData().active
+    }
+
+    /**
+     * Checks if event is tracked right now
+     * 
+     * @param {Object} event - event or occurrence
+     * @returns {boolean} true if tracking of the event is running
+     */
+    static isTracked(event) {
+        const active = this.getActive()
+        return !!active && active.event_id === event.id && active.occurrence === event.occurrence
+    }
+
+    /**
+     * Starts tracking of event, running tracking of another event is stopped
+     * 
+     * @param {Object} event - event or occurrence
+     * @returns {void}
+     */
+    static start(event) {
+        const data = this.#getData()
+        const now = Date.now()
+        const intervals = data.active ? [...data.intervals, this.#finish(data.active, now)] : data.intervals
+        const active = {
+            event_id: event.id,
+            occurrence: event.occurrence,
+            description: event.description,
+            color: event.color,
+            start: now
+        }
+        this.#save({ intervals: intervals, active: active })
+        logger.log('Tracking started: ' + event.id)
+    }
+
+    /**
+     * Stops running tracking and saves its interval
+     * 
+     * @returns {Object|null} saved interval or null if nothing was tracked
+     */
+    static stop() {
+        const data = this.#getData()
+        if (!data.active) return null
+        const interval = this.#finish(data.active, Date.now())
+        this.#save({ intervals: [...data.intervals, interval], active: null })
+        logger.log('Tracking stopped: ' + interval.event_id)
+        return interval
+    }
+
+    /**
+     * Saves interval which has already passed ("log what I just did")
+     * 
+     * @param {Object} event - event or occurrence
+     * @param {number} duration - duration of the interval in milliseconds, interval ends now
+     * @returns {Object} saved interval
+     */
+    static log(event, duration) {
+        const data = this.#getData()
+        const now = Date.now()
+        const interval = this.#finish({
+            event_id: event.id,
+            occurrence: event.occurrence,
+            description: event.description,
+            color: event.color,
+            start: now - duration
+        }, now)
+        this.#save({ intervals: [...data.intervals, interval], active: data.active })
+        logger.log('Interval logged: ' + event.id)
+        return interval
+    }
+
+    /**
+     * Returns intervals which overlap period, running tracking is returned as interval ending now
+     * 
+     * @param {number} start - start of the period in milliseconds
+     * @param {number} end - end of the period in milliseconds
+     * @returns {Array<Object>} intervals sorted by start
+     */
+    static getIntervals(start, end) {
+        const data = this.#getData()
+        const intervals = data.active ? [...data.intervals, { ...data.active, end: Date.now() }] : data.intervals
+        return intervals.filter((item) => item.start < end && item.end > start).sort((a, b) => a.start - b.start)
+    }
+
+    static #finish(active, end) {
+        return { ...active, id: end.toString(36) + Math.random().toString(36).substr(2, 9), end: end }
+    }
+
+    static #getData() {
+        const fileVersion = FileService.getFileVersion(this.#trackingFilePath)
+        if (this.#data === null || fileVersion !== this.#fileVersion) {
+            this.#data = this.#load()
+            this.#fileVersion = fileVersion
+        }
+        return this.#data
+    }
+
+    static #load() {
+        try {
+            const data = MigrationService.migrateTracking(FileService.readJSON(this.#trackingFilePath) ?? [])
+            return { intervals: data.intervals, active: data.active }
+        } catch (Error) {
+            logger.error(Error, 'Load tracking failed')
+            return { intervals: [], active: null }
+        }
+    }
+
+    static #save(data) {
+        const now = Date.now()
+        const intervals = data.intervals.filter((item) => now - item.end < TRACKING_RETENTION_MS)
+        FileService.writeFile(this.#trackingFilePath, { version: TRACKING_SCHEMA_VERSION, intervals: intervals, active: data.active })
+        this.#data = { intervals: intervals, active: data.active }
+        this.#fileVersion = FileService.getFileVersion(this.#trackingFilePath)
+    }
+}
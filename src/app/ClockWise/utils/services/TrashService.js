@@ -0,0 +1,90 @@
+import { FileService } from './FileService'
+import { MigrationService, TRASH_SCHEMA_VERSION } from './MigrationService'
+import { TRASH_RETENTION_MS } from '../Constants'
+import {log} from '@zos/utils'
+
+const logger = log.getLogger('TrashService')
+
+/**
+ * Storage of deleted events which can be restored
+ * 
+ * Item of the trash: {id, deleted_at, event, occurrence, override}
+ * - event - deleted event (for a single occurrence - the occurrence itself)
+ * - occurrence - key of deleted occurrence in skipped dates of the series (only for occurrences)
+ * - override - changed occurrence removed together with it (only for occurrences)
+ * 
+ * Items older than retention period are purged on load.
+ */
+export class TrashService {
+    /**
+     * Path to trash file
+     * @type {string}
+     */
+    static #trashFilePath = 'trash'
+
+    /**
+     * Returns items of the trash, newest first
+     * 
+     * @returns {Array<Object>} items of the trash
+     */
+    static getItems() {
+        let items = []
+        try {
+            items = MigrationService.migrateTrash(FileService.readJSON(this.#trashFilePath) ?? []).items
+        } catch (Error) {
+            logger.error(Error, 'Load trash failed')
+            return []
+        }
+        const now = Date.now()
+        const actual = items.filter((item) => now - item.deleted_at < TRASH_RETENTION_MS)
+        if (actual.length !== items.length) {
+            logger.log(`Purge expired items of trash: ${items.length - actual.length}`)
+            this.#saveItems(actual)
+        }
+        return actual.sort((a, b) => b.deleted_at - a.deleted_at)
+    }
+
+    /**
+     * Moves deleted events to the trash
+     * 
+     * @param {Array<Object>} items - items without id and deletion time
+     * @returns {Array<string>} IDs of added items
+     */
+    static add(items) {
+        const now = Date.now()
+        const added = items.map((item) => ({
+            ...item,
+            id: now.toString(36) + Math.random().toString(36).substr(2, 9),
+            deleted_at: now
+        }))
+        this.#saveItems([...this.getItems(), ...added])
+        logger.log(`Added to trash: ${added.length}`)
+        return added.map((item) => item.id)
+    }
+
+    /**
+     * Removes items from the trash
+     * 
+     * @param {Array<string>} ids - IDs of items
+     * @returns {Array<Object>} removed items
+     */
+    static remove(ids) {
+        const items = this.getItems()
+        const removed = items.filter((item) => ids.includes(item.id))
+        if (removed.length > 0) this.#saveItems(items.filter((item) => !ids.includes(item.id)))
+        return removed
+    }
+
+    /**
+     * Removes all items from the trash
+     * 
+     * @returns {void}
+     */
+    static clear() {
+        this.#saveItems([])
+    }
+
+    static #saveItems(items) {
+        FileService.writeFile(this.#trashFilePath, { version: TRASH_SCHEMA_VERSION, items: items })
+    }
+}
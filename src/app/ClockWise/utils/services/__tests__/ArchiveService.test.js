@@ -0,0 +1,30 @@
+import { reset } from '@zos/fs'
+import { ArchiveService } from '../ArchiveService'
+import { SettingsService } from '../SettingsService'
+import { EventService } from '../EventService'
+
+const DAY_MS = 24 * 3600000
+const daysAgo = (days) => new Date(Date.now() - days * DAY_MS).toISOString()
+
+beforeEach(() => reset())
+
+describe('ArchiveService', () => {
+    test('the oldest events are dropped over the limit', () => {
+        ArchiveService.add([{ id: 'old', end: daysAgo(10) }, { id: 'new', end: daysAgo(1) }], 1)
+        expect(ArchiveService.getEvents().map((event) => event.id)).toEqual(['new'])
+    })
+
+    test('finished series is ordered by its last occurrence', () => {
+        const settings = SettingsService.loadSettings()
+        SettingsService.saveSettings({ ...settings, autoDelete: 'day', archiveLimit: 1 })
+        const service = new EventService()
+        // Series started long ago and finished two days ago, single event ended five days ago
+        service.createNewEvent({ description: 'Series', start: daysAgo(60), end: daysAgo(60 - 1 / 24), color: 1,
+            repeat: 'day', check_repeat: 'day', repeat_until: daysAgo(2) }, true)
+        service.createNewEvent({ description: 'Single', start: daysAgo(5), end: daysAgo(5 - 1 / 24), color: 2, repeat: 'never' }, true)
+        service.getWeekListOfEvents(new Date())
+        const archived = ArchiveService.getEvents()
+        expect(archived.map((event) => event.description)).toEqual(['Series'])
+        expect(new Date(archived[0].last_end).getTime()).toBeGreaterThan(Date.now() - 3 * DAY_MS)
+    })
+})
@@ -0,0 +1,32 @@
+import { files, reset } from '@zos/fs'
+import { EventRepository } from '../EventRepository'
+import { EVENTS_SCHEMA_VERSION } from '../MigrationService'
+
+beforeEach(() => reset())
+
+describe('EventRepository', () => {
+    test('events are read once and returned as copies', () => {
+        files.set('events', JSON.stringify({ version: EVENTS_SCHEMA_VERSION, events: [{ id: '1', description: 'A' }] }))
+        const repository = new EventRepository('events')
+        const events = repository.getAll()
+        events[0].description = 'Changed'
+        expect(repository.getAll()).toEqual([{ id: '1', description: 'A' }])
+    })
+
+    test('the same list is not written again', () => {
+        const repository = new EventRepository('events')
+        expect(repository.replaceAll([{ id: '1' }])).toBe(true)
+        expect(repository.replaceAll([{ id: '1' }])).toBe(false)
+        expect(JSON.parse(files.get('events'))).toEqual({ version: EVENTS_SCHEMA_VERSION, events: [{ id: '1' }] })
+    })
+
+    test('broken file and backup are not overwritten', () => {
+        files.set('events', '[{"id": "1"')
+        files.set('events.bak', '[{"id": "1"}, {"i')
+        const repository = new EventRepository('events')
+        expect(() => repository.getAll()).toThrow()
+        expect(() => repository.replaceAll([{ id: '2' }])).toThrow()
+        expect(files.get('events')).toBe('[{"id": "1"')
+        expect(files.get('events.bak')).toBe('[{"id": "1"}, {"i')
+    })
+})
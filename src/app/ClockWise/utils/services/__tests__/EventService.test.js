@@ -0,0 +1,84 @@
+import { files, reset } from '@zos/fs'
+import { EventService } from '../EventService'
+
+const HOUR_MS = 3600000
+const inHours = (hours) => new Date(Date.now() + hours * HOUR_MS).toISOString()
+
+beforeEach(() => reset())
+
+describe('actual events of the watch face', () => {
+    test('only fields drawn by the watch face are written', () => {
+        const service = new EventService()
+        service.createNewEvent({
+            description: 'Review',
+            notes: 'x'.repeat(300),
+            location: 'Room 1',
+            attendees: ['Anna', 'Boris'],
+            checklist: [{ text: 'slides', done: false }],
+            start: inHours(1),
+            end: inHours(2),
+            color: 0xff0000,
+            repeat: 'never'
+        }, true)
+        service.getActualEvents()
+        const [written] = JSON.parse(files.get('actual_events'))
+        expect(written.description).toBe('Review')
+        expect(written.startAngle).toBeDefined()
+        expect(written.color).toBe(0xff0000)
+        for (const field of ['notes', 'location', 'attendees', 'checklist']) {
+            expect(written).not.toHaveProperty(field)
+        }
+    })
+})
+
+describe('editEvent of moved occurrence', () => {
+    const at = (day, hour) => new Date(2030, 0, day, hour).toISOString()
+    const findOccurrence = (service, day) => JSON.parse(JSON.stringify(
+        service.getWeekListOfEvents(new Date(2030, 0, day)).find((ev) => ev.id === seriesId && new Date(ev.start).getDate() == day)
+    ))
+    let service
+    let seriesId
+
+    beforeEach(() => {
+        service = new EventService()
+        service.createNewEvent({ description: 'Daily', start: at(7, 9), end: at(7, 10), color: 1, repeat: 'day', check_repeat: 'day' }, true)
+        service.createNewEvent({ description: 'Meeting', start: at(8, 14), end: at(8, 15), color: 2, repeat: 'never' }, true)
+        seriesId = service.getWeekListOfEvents(new Date(2030, 0, 7)).find((ev) => ev.description === 'Daily').id
+        const occurrence = findOccurrence(service, 8)
+        occurrence.start = at(8, 14)
+        occurrence.end = at(8, 15)
+        expect(service.editEvent(occurrence, 'occurrence')).toHaveLength(1)
+        expect(service.editEvent(occurrence, 'occurrence', true)).toEqual([])
+    })
+
+    test('status is saved without conflict check', () => {
+        const occurrence = findOccurrence(service, 8)
+        occurrence.completion = 'done'
+        expect(service.editEvent(occurrence, 'occurrence')).toEqual([])
+        expect(findOccurrence(service, 8).completion).toBe('done')
+    })
+
+    test('moving it again is checked against its new time', () => {
+        const occurrence = findOccurrence(service, 8)
+        occurrence.end = at(8, 16)
+        expect(service.editEvent(occurrence, 'occurrence')).toHaveLength(1)
+    })
+})
+
+describe('splitEvent', () => {
+    const at = (day, hour) => new Date(2030, 0, day, hour).toISOString()
+    const period = { start: new Date(2030, 0, 1), end: new Date(2030, 2, 1) }
+
+    test('series with repeat count keeps all occurrences when split at changed time', () => {
+        const service = new EventService()
+        service.createNewEvent({ description: 'Weekly', start: at(7, 9), end: at(7, 10), color: 1, repeat: 'week', check_repeat: 'week', repeat_count: 5 }, true)
+        const fourth = JSON.parse(JSON.stringify(service.getEventsOfPeriod(period)[3]))
+        expect(new Date(fourth.start).getDate()).toBe(28)
+        fourth.repeat = fourth.check_repeat
+        fourth.start = at(28, 15)
+        fourth.end = at(28, 16)
+        expect(service.editEvent(fourth, 'following')).toEqual([])
+        const starts = service.getEventsOfPeriod(period).map((ev) => [new Date(ev.start).getDate(), new Date(ev.start).getHours()])
+        expect(starts).toEqual([[7, 9], [14, 9], [21, 9], [28, 15], [4, 15]])
+    })
+})
@@ -0,0 +1,160 @@
+import { files, reset } from '@zos/fs'
+import {
+    MigrationService,
+    EVENTS_SCHEMA_VERSION,
+    SETTINGS_SCHEMA_VERSION,
+    TRASH_SCHEMA_VERSION,
+    ARCHIVE_SCHEMA_VERSION,
+    CATEGORIES_SCHEMA_VERSION,
+    TASKS_SCHEMA_VERSION,
+    TRACKING_SCHEMA_VERSION
+} from '../MigrationService'
+
+const writeJSON = (path, data) => files.set(path, JSON.stringify(data))
+const readJSON = (path) => JSON.parse(files.get(path))
+
+beforeEach(() => reset())
+
+describe('getVersion', () => {
+    test('content without header is version 0', () => {
+        expect(MigrationService.getVersion([{ id: '1' }])).toBe(0)
+        expect(MigrationService.getVersion({ autoDelete: 'day' })).toBe(0)
+        expect(MigrationService.getVersion(null)).toBe(0)
+    })
+
+    test('version is taken from header', () => {
+        expect(MigrationService.getVersion({ version: 2, settings: {} })).toBe(2)
+    })
+})
+
+describe('migrateEvents', () => {
+    test('bare array of version 0 is wrapped into header', () => {
+        expect(MigrationService.migrateEvents([{ id: '1' }])).toEqual({ version: EVENTS_SCHEMA_VERSION, events: [{ id: '1' }] })
+    })
+
+    test('current version is returned unchanged', () => {
+        const data = { version: EVENTS_SCHEMA_VERSION, events: [{ id: '1' }] }
+        expect(MigrationService.migrateEvents(data)).toBe(data)
+    })
+
+    test('newer version is rejected', () => {
+        expect(() => MigrationService.migrateEvents({ version: EVENTS_SCHEMA_VERSION + 1, events: [] })).toThrow()
+    })
+})
+
+describe('migrateSettings', () => {
+    test('bare object of version 0 keeps its values and gets defaults, archive stays off', () => {
+        expect(MigrationService.migrateSettings({ autoDelete: 'day' })).toEqual({
+            version: SETTINGS_SCHEMA_VERSION,
+            settings: {
+                autoDelete: 'day',
+                colorTheme: 'standard',
+                archiveLimit: 0,
+                filter: { categories: [], colors: [], dial: false }
+            }
+        })
+    })
+
+    test('archive stays off for settings saved before it appeared', () => {
+        const data = { version: 1, settings: { autoDelete: 'week', colorTheme: 'standard' } }
+        expect(MigrationService.migrateSettings(data).settings.archiveLimit).toBe(0)
+    })
+
+    test('each version is upgraded step by step', () => {
+        const data = { version: 2, settings: { autoDelete: 'week', colorTheme: 'standard', archiveLimit: 50 } }
+        expect(MigrationService.migrateSettings(data).settings).toEqual({
+            autoDelete: 'week',
+            colorTheme: 'standard',
+            archiveLimit: 50,
+            filter: { categories: [], colors: [], dial: false }
+        })
+    })
+
+    test('current version is returned unchanged', () => {
+        const data = {
+            version: SETTINGS_SCHEMA_VERSION,
+            settings: { autoDelete: 'never', colorTheme: 'standard', archiveLimit: 0, filter: { categories: ['work'], colors: [], dial: true } }
+        }
+        expect(MigrationService.migrateSettings(data)).toBe(data)
+    })
+
+    test('newer version is rejected', () => {
+        expect(() => MigrationService.migrateSettings({ version: SETTINGS_SCHEMA_VERSION + 1, settings: {} })).toThrow()
+    })
+})
+
+describe.each([
+    ['migrateTrash', TRASH_SCHEMA_VERSION, 'items', {}],
+    ['migrateArchive', ARCHIVE_SCHEMA_VERSION, 'events', {}],
+    ['migrateCategories', CATEGORIES_SCHEMA_VERSION, 'categories', {}],
+    ['migrateTasks', TASKS_SCHEMA_VERSION, 'tasks', {}],
+    ['migrateTracking', TRACKING_SCHEMA_VERSION, 'intervals', { active: null }],
+])('%s', (method, currentVersion, key, extra) => {
+    test('bare array of version 0 is wrapped into header', () => {
+        expect(MigrationService[method]([{ id: '1' }])).toEqual({ version: currentVersion, [key]: [{ id: '1' }], ...extra })
+    })
+
+    test('bare object of version 0 gets empty list', () => {
+        expect(MigrationService[method]({})).toEqual({ version: currentVersion, [key]: [], ...extra })
+    })
+
+    test('current version is returned unchanged', () => {
+        const data = { version: currentVersion, [key]: [{ id: '1' }], ...extra }
+        expect(MigrationService[method](data)).toBe(data)
+    })
+
+    test('newer version is rejected', () => {
+        expect(() => MigrationService[method]({ version: currentVersion + 1, [key]: [] })).toThrow()
+    })
+})
+
+describe('migrateFiles', () => {
+    test('old files are rewritten in the current schema', () => {
+        writeJSON('events', [{ id: '1' }])
+        writeJSON('settings', { autoDelete: 'month', colorTheme: 'standard' })
+        MigrationService.migrateFiles()
+        expect(readJSON('events')).toEqual({ version: EVENTS_SCHEMA_VERSION, events: [{ id: '1' }] })
+        expect(readJSON('settings').version).toBe(SETTINGS_SCHEMA_VERSION)
+        expect(readJSON('settings').settings.autoDelete).toBe('month')
+        // Old content is kept as backup
+        expect(readJSON('events.bak')).toEqual([{ id: '1' }])
+    })
+
+    test('current files and missing files are not written', () => {
+        const content = JSON.stringify({ version: TASKS_SCHEMA_VERSION, tasks: [] })
+        files.set('tasks', content)
+        MigrationService.migrateFiles()
+        expect(files.get('tasks')).toBe(content)
+        expect(files.has('tasks.bak')).toBe(false)
+        expect(files.has('events')).toBe(false)
+    })
+
+    test('file of newer version is left untouched', () => {
+        const content = JSON.stringify({ version: EVENTS_SCHEMA_VERSION + 1, events: [{ id: '1' }] })
+        files.set('events', content)
+        MigrationService.migrateFiles()
+        expect(files.get('events')).toBe(content)
+    })
+
+    test('corrupt file is restored from backup and migrated', () => {
+        files.set('events', '[{"id": "1"')
+        writeJSON('events.bak', [{ id: '1' }])
+        MigrationService.migrateFiles()
+        expect(readJSON('events')).toEqual({ version: EVENTS_SCHEMA_VERSION, events: [{ id: '1' }] })
+    })
+
+    test('corrupt file is restored from temp copy of interrupted write', () => {
+        files.set('archive', '{"version": 1, "ev')
+        writeJSON('archive.tmp', { version: ARCHIVE_SCHEMA_VERSION, events: [{ id: '2' }] })
+        writeJSON('archive.bak', { version: ARCHIVE_SCHEMA_VERSION, events: [] })
+        MigrationService.migrateFiles()
+        expect(readJSON('archive')).toEqual({ version: ARCHIVE_SCHEMA_VERSION, events: [{ id: '2' }] })
+    })
+
+    test('file with broken backup is left as is', () => {
+        files.set('trash', 'broken')
+        files.set('trash.bak', 'broken too')
+        expect(() => MigrationService.migrateFiles()).not.toThrow()
+        expect(files.get('trash')).toBe('broken')
+    })
+})
@@ -1,4 +1,4 @@
-import { readSync, openSync, O_RDONLY, closeSync} from '@zos/fs'
+import { readSync, openSync, statSync, O_RDONLY, closeSync} from '@zos/fs'
 import { getText } from '@zos/i18n'
 
 export class Manager{
@@ -8,6 +8,7 @@ export class Manager{
         let result = null;
         
         for (let element  of listOfEvents ) {
+            if (element.all_day) continue
             const start = new Date(element.start).getTime();
             const end = new Date(element.end).getTime();
             if (now >= start && now <= end) {
@@ -75,6 +76,14 @@ export class Manager{
     }
 
     static uploadActualEvents(){
+        // File is written by the application, buffer takes its whole size
+        const stat = statSync({
+            path: 'actual_events',
+            options:{
+            appId: 1099579,
+            }
+        })
+        if (!stat || stat.size == 0) return []
         const fd = openSync({
             path: 'actual_events',
             flag: O_RDONLY,
@@ -83,15 +92,14 @@ export class Manager{
             }
         })
         if (fd >= 0){
-            const buffer = new ArrayBuffer(500)
+            const buffer = new ArrayBuffer(stat.size)
             readSync({
                 fd,
                 buffer,
             })
             closeSync({ fd })
-            let text = this.#decodeBuffer(buffer)
-            const t = JSON.parse(text)      
             try {
+                let text = this.#decodeBuffer(buffer)
                 return  JSON.parse(text)
             } catch (error) {
                 return []
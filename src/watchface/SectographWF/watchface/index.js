@@ -372,19 +372,56 @@ WatchFace({
     })
     if (listOfActuals != undefined) {
       listOfActuals.forEach((item) =>{
+        // All-day events share thin ring inside of the sectors
+        let size = item.all_day ? 350 : 400
+        let lineWidth = item.all_day ? 6 : 23
+        // Overlapping events divide the sector ring into concentric lanes, lane 0 is the outer one
+        if (!item.all_day && item.lanes > 1) {
+          lineWidth = Math.floor(lineWidth / item.lanes)
+          size -= 2 * lineWidth * Math.min(item.lane, item.lanes - 1)
+        }
         const ev = this.state.group.createWidget(widget.ARC, {
-          x: (480-400)/2,
-          y: (480-400)/2,
-          w: 400,
-          h: 400,
+          x: (480-size)/2,
+          y: (480-size)/2,
+          w: size,
+          h: size,
           start_angle: item.startAngle-90,
           end_angle: item.endAngle-90,
-          line_width: 23,
+          line_width: lineWidth,
           alpha: 100,
-          color: item.color
+          // Skipped event is grey and struck through
+          color: item.completion === 'skipped' ? 0x808080 : item.color
         })
         ev.setAlpha(250)
         this.events.push(ev)
+        if (item.completion === 'skipped' && !item.all_day) {
+          const strikeSize = size - lineWidth + 2
+          const strike = this.state.group.createWidget(widget.ARC, {
+            x: (480-strikeSize)/2,
+            y: (480-strikeSize)/2,
+            w: strikeSize,
+            h: strikeSize,
+            start_angle: item.startAngle-90,
+            end_angle: item.endAngle-90,
+            line_width: 2,
+            color: 0x000000
+          })
+          this.events.push(strike)
+        }
+        // High priority event is outlined by thin white arc on the outer edge of its lane
+        if (item.priority === 'high') {
+          const outline = this.state.group.createWidget(widget.ARC, {
+            x: (480-size)/2,
+            y: (480-size)/2,
+            w: size,
+            h: size,
+            start_angle: item.startAngle-90,
+            end_angle: item.endAngle-90,
+            line_width: 3,
+            color: 0xffffff
+          })
+          this.events.push(outline)
+        }
       })
     }
     this.updateEventState(listOfActuals)